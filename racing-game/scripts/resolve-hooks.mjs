@@ -0,0 +1,22 @@
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+// Lets Node load src/ the way Next.js bundles it: "@/" maps to src/,
+// extensionless relative imports resolve to .js files and src/ is ESM.
+const SRC = new URL("../src/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  let target = specifier;
+  if (target.startsWith("@/")) target = new URL(target.slice(2), SRC).href;
+  const isPath = target.startsWith(".") || target.startsWith("file:");
+  if (isPath && !/\.[cm]?js$/.test(target)) {
+    const url = new URL(`${target}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) target = url.href;
+  }
+  return nextResolve(target, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC.href)) return nextLoad(url, { ...context, format: "module" });
+  return nextLoad(url, context);
+}
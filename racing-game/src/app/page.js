@@ -6,25 +6,138 @@ import { Car, VEHICLE_PRESETS } from "@/lib/game/physics";
 import { Track, TRACK_LIBRARY, createSunLight } from "@/lib/game/tracks";
 import { createAIDrivers } from "@/lib/game/ai";
 import { ParticleSystem } from "@/lib/game/particles";
-import { ReplayPlayer, ReplayRecorder } from "@/lib/game/replay";
+import { REPLAY_SPEEDS, ReplayPlayer, ReplayRecorder } from "@/lib/game/replay";
+import {
+  REPLAY_EXTENSION,
+  ReplayFileError,
+  decodeReplay,
+  encodeReplay,
+} from "@/lib/game/replay-file";
+import {
+  INPUT_REPLAY_EXTENSION,
+  InputPlayback,
+  InputRecorder,
+  hashTrackConfig,
+  isInputReplay,
+  parseInputReplay,
+} from "@/lib/game/input-replay";
+import { downloadBlob, downloadJSON, slugify } from "@/lib/game/files";
+import {
+  CLIP_FORMATS,
+  CLIP_FRAME_RATES,
+  CLIP_RESOLUTIONS,
+  ClipExporter,
+  isWebmSupported,
+} from "@/lib/game/clip";
+import {
+  REPLAY_CAMERA_MODES,
+  createTracksideCameras,
+  pickTracksideCamera,
+} from "@/lib/game/cameras";
+import { RaceSession } from "@/lib/game/session";
+import { WEATHER_MODES } from "@/lib/game/weather";
+import { CarLights } from "@/lib/game/car-lights";
+import {
+  AI_DIFFICULTIES,
+  BOOST_RULES,
+  MAX_FIELD_SIZE,
+  MAX_SCORING_POSITIONS,
+  SETTING_LIMITS,
+  createRaceSettings,
+  loadRacePresets,
+  saveRacePresets,
+  sanitizeRaceSettings,
+} from "@/lib/game/race-settings";
+import { ADAPTIVE_STRENGTHS } from "@/lib/game/adaptive-ai";
+import { createRacecraftDrivers } from "@/lib/game/racecraft";
+import { DEFAULT_MASS } from "@/lib/game/collisions";
+import { DamageVisuals } from "@/lib/game/damage-visuals";
+import {
+  STAT_LABELS,
+  TUNING_FIELDS,
+  createDefaultTuning,
+  deleteTrackSetup,
+  getEngineCurve,
+  getEngineSpec,
+  getGearLimits,
+  getGearSpeeds,
+  getTuningLimits,
+  getTuningStats,
+  loadTrackSetups,
+  sanitizeTuning,
+  saveTrackSetup,
+} from "@/lib/game/tuning";
+import {
+  TRACK_EXTENSION,
+  TrackFileError,
+  exportTrack,
+  parseTrackFile,
+} from "@/lib/game/track-file";
+import { loadTrackRecords, submitLapRecord } from "@/lib/game/records";
+import {
+  BANKING_RANGE,
+  ELEVATION_RANGE,
+  MIN_CONTROL_POINTS,
+  ROAD_WIDTH_RANGE,
+  WEATHER_OPTIONS,
+  configToLayout,
+  createDefaultLayout,
+  createTrackCurve,
+  deleteCustomTrack,
+  getTrackStats,
+  layoutToConfig,
+  loadCustomTracks,
+  saveCustomTrack,
+  validateLayout,
+} from "@/lib/game/track-editor";
+import { randomSeed } from "@/lib/game/random";
+import { Championship, DEFAULT_POINTS } from "@/lib/game/championship";
+import { LapGhost, personalBestKey } from "@/lib/game/ghost";
+import { GamepadManager, mergeInputs } from "@/lib/game/gamepad";
+import {
+  CONTROL_ACTIONS,
+  DEFAULT_KEYS,
+  DEFAULT_PROFILE_NAME,
+  buildKeyBindings,
+  cloneKeys,
+  describeBindings,
+  findConflicts,
+  formatKey,
+  getUnusedProfileName,
+  loadControlProfiles,
+  rebindKey,
+  saveControlProfiles,
+} from "@/lib/game/controls";
+
+const TIME_SPEEDS = {
+  frozen: { label: "Frozen", rate: 0 },
+  realtime: { label: "Real Time", rate: 1 / 3600 },
+  accelerated: { label: "Accelerated", rate: 0.06 },
+};
+
+const NIGHT_RACE = { start: 22, speed: "realtime" };
 
 const MODE_CONFIG = {
   "time-trial": {
     label: "Time Trial",
     laps: 3,
     ai: 0,
+    difficulty: "rookie",
     description: "Beat your best lap against the clock.",
   },
   championship: {
     label: "Championship",
     laps: 4,
     ai: 4,
+    difficulty: "pro",
+    points: DEFAULT_POINTS,
     description: "Full grid racing across every circuit.",
   },
   elimination: {
     label: "Elimination",
     laps: 5,
     ai: 5,
+    difficulty: "elite",
     description: "Last place gets dropped every 45 seconds.",
   },
 };
@@ -37,25 +150,6 @@ const INPUT_TEMPLATE = {
   boost: false,
 };
 
-const KEY_BINDINGS = {
-  player1: {
-    KeyW: { action: "throttle", value: 1 },
-    KeyS: { action: "brake", value: 1 },
-    KeyA: { action: "steer", value: -1 },
-    KeyD: { action: "steer", value: 1 },
-    Space: { action: "handbrake", value: 1 },
-    ShiftLeft: { action: "boost", value: true },
-  },
-  player2: {
-    ArrowUp: { action: "throttle", value: 1 },
-    ArrowDown: { action: "brake", value: 1 },
-    ArrowLeft: { action: "steer", value: -1 },
-    ArrowRight: { action: "steer", value: 1 },
-    Slash: { action: "handbrake", value: 1 },
-    ShiftRight: { action: "boost", value: true },
-  },
-};
-
 const INITIAL_HUD = {
   lap: 0,
   lapsTotal: 0,
@@ -68,10 +162,91 @@ const INITIAL_HUD = {
   stage: 1,
   trackName: "",
   weather: "",
+  grip: 1,
+  damage: 0,
+  boost: null,
+  drafting: false,
+  tyres: null,
+  fuel: null,
+  pitLimiter: false,
+  pitService: 0,
   eliminated: [],
   message: "",
+  ghostDelta: null,
+  sectors: [],
+  wrongWay: false,
+  lapValid: true,
+  penalty: 0,
+};
+
+const SECTOR_COLORS = {
+  purple: "bg-fuchsia-500/70",
+  green: "bg-emerald-500/70",
+  yellow: "bg-amber-400/70",
 };
 
+function clearRaceScene(engine) {
+  const { scene } = engine;
+  engine.preview = null;
+  if (engine.trackGroup) {
+    scene.remove(engine.trackGroup);
+    engine.trackGroup = null;
+  }
+  if (engine.nightLights) {
+    scene.remove(engine.nightLights);
+    engine.nightLights = null;
+  }
+  if (engine.ghost) {
+    scene.remove(engine.ghost.car.mesh);
+    engine.ghost = null;
+  }
+  engine.cars.forEach((car) => {
+    scene.remove(car.mesh);
+  });
+  engine.session?.listeners.clear();
+  engine.session = null;
+  engine.inputRecorder = null;
+  engine.inputPlayback = null;
+  engine.notice = null;
+  engine.carLights.forEach((lights) => lights.dispose());
+  engine.carLights = [];
+  engine.damageVisuals.forEach((visuals) => visuals.dispose());
+  engine.damageVisuals = [];
+  engine.particleWeather = null;
+  engine.paused = false;
+  engine.cars = [];
+  engine.players = [];
+  engine.ai = [];
+  engine.leaderboard = [];
+}
+
+function loadTrack(engine, trackConfig) {
+  clearRaceScene(engine);
+  const track = new Track(trackConfig);
+  const trackGroup = track.buildScene();
+  engine.scene.add(trackGroup);
+  engine.trackGroup = trackGroup;
+  engine.track = track;
+  return track;
+}
+
+function findTrackConfig(trackId, customTracks) {
+  return [...TRACK_LIBRARY, ...customTracks].find(
+    (config) => (config.id ?? config.name) === trackId,
+  );
+}
+
+function formatClock(hours) {
+  const minutes = Math.round(hours * 60) % (24 * 60);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function formatDelta(seconds) {
+  if (!Number.isFinite(seconds)) return "";
+  return `${seconds < 0 ? "-" : "+"}${Math.abs(seconds).toFixed(2)}`;
+}
+
 function formatTime(seconds) {
   if (!Number.isFinite(seconds)) return "--:--.--";
   const minutes = Math.floor(seconds / 60);
@@ -91,6 +266,13 @@ function RacingGame() {
     player1: { ...INPUT_TEMPLATE },
     player2: { ...INPUT_TEMPLATE },
   });
+  const gamepadsRef = useRef(null);
+  const keyBindingsRef = useRef(buildKeyBindings(DEFAULT_KEYS));
+  const [controlSettings, setControlSettings] = useState(loadControlProfiles);
+  const [showControls, setShowControls] = useState(false);
+  const [menuError, setMenuError] = useState("");
+  const [paused, setPaused] = useState(false);
+  const togglePauseRef = useRef(null);
   const [mode, setMode] = useState("championship");
   const [phase, setPhase] = useState("menu");
   const [hud, setHud] = useState(INITIAL_HUD);
@@ -99,17 +281,64 @@ function RacingGame() {
   const [color, setColor] = useState(
     VEHICLE_PRESETS.balanced.colorOptions[0],
   );
+  // null races the car on its stock setup.
+  const [tuning, setTuning] = useState(null);
+  const [showTuning, setShowTuning] = useState(false);
   const [championshipStage, setChampionshipStage] = useState(0);
+  const championshipRef = useRef(null);
+  const [season, setSeason] = useState(null);
+  const [raceResults, setRaceResults] = useState([]);
   const [replayReady, setReplayReady] = useState(false);
+  const [replayView, setReplayView] = useState({
+    time: 0,
+    duration: 0,
+    playing: false,
+    speed: 1,
+    focus: 0,
+    camera: REPLAY_CAMERA_MODES[0],
+  });
+  const [clipSettings, setClipSettings] = useState({
+    resolution: "720p",
+    fps: 30,
+    format: "webm",
+    from: 0,
+    to: 0,
+  });
+  const [showClipPanel, setShowClipPanel] = useState(false);
+  const [clipProgress, setClipProgress] = useState(null);
+  const [clipError, setClipError] = useState("");
+  const [photoMode, setPhotoMode] = useState(false);
+  const [photoError, setPhotoError] = useState("");
+  const [customTracks, setCustomTracks] = useState(loadCustomTracks);
+  const [trackChoice, setTrackChoice] = useState("");
+  const [raceSettings, setRaceSettings] = useState(() =>
+    createRaceSettings(MODE_CONFIG.championship),
+  );
+  const [racePresets, setRacePresets] = useState(loadRacePresets);
+  const [showRaceSettings, setShowRaceSettings] = useState(false);
+  const selectedTrackId = trackChoice || (TRACK_LIBRARY[0].id ?? TRACK_LIBRARY[0].name);
   const [nightMode, setNightMode] = useState(false);
+  const [playerCount, setPlayerCount] = useState(2);
 
   const presetOptions = useMemo(() => Object.entries(VEHICLE_PRESETS), []);
+  const previousModeRef = useRef(mode);
 
   useEffect(() => {
     setHud((prev) => ({
       ...prev,
       mode: MODE_CONFIG[mode].label,
     }));
+    // Only move settings that still hold the old mode's default, so a loaded
+    // preset or a hand-tuned value survives switching modes.
+    const from = MODE_CONFIG[previousModeRef.current];
+    const to = MODE_CONFIG[mode];
+    previousModeRef.current = mode;
+    setRaceSettings((prev) => ({
+      ...prev,
+      laps: prev.laps === from.laps ? to.laps : prev.laps,
+      aiCount: prev.aiCount === from.ai ? to.ai : prev.aiCount,
+      difficulty: prev.difficulty === from.difficulty ? to.difficulty : prev.difficulty,
+    }));
   }, [mode]);
 
   useEffect(() => {
@@ -154,7 +383,13 @@ function RacingGame() {
       cameras: { cameraPrimary, cameraSecondary, cameraReplay, minimapCamera },
       lights: { ambientLight, sunLight },
       particleSystem,
-      replay: { recorder: replayRecorder, player: replayPlayer },
+      replay: {
+        recorder: replayRecorder,
+        player: replayPlayer,
+        focus: 0,
+        camera: REPLAY_CAMERA_MODES[0],
+        tracksideCameras: [],
+      },
       clock,
       track: null,
       trackGroup: null,
@@ -162,6 +397,16 @@ function RacingGame() {
       cars: [],
       players: [],
       ai: [],
+      session: null,
+      preview: null,
+      exporter: null,
+      clipExporter: null,
+      ghost: null,
+      inputRecorder: null,
+      inputPlayback: null,
+      notice: null,
+      particleWeather: null,
+      paused: false,
       race: {
         mode: mode,
         status: "idle",
@@ -177,6 +422,9 @@ function RacingGame() {
         eliminationInterval: 45,
       },
       timeOfDay: 9,
+      timeRate: TIME_SPEEDS.accelerated.rate,
+      carLights: [],
+      damageVisuals: [],
       animationId: 0,
       lastHudUpdate: 0,
       leaderboard: [],
@@ -188,21 +436,26 @@ function RacingGame() {
       const { clientWidth, clientHeight } = container;
       renderer.setPixelRatio(window.devicePixelRatio);
       renderer.setSize(clientWidth, clientHeight);
-      const halfHeight = Math.max(clientHeight / 2, 1);
-      cameraPrimary.aspect = clientWidth / halfHeight;
+      const viewHeight = Math.max(
+        state.players.length > 1 ? clientHeight / 2 : clientHeight,
+        1,
+      );
+      cameraPrimary.aspect = clientWidth / viewHeight;
       cameraPrimary.updateProjectionMatrix();
-      cameraSecondary.aspect = clientWidth / halfHeight;
+      cameraSecondary.aspect = clientWidth / viewHeight;
       cameraSecondary.updateProjectionMatrix();
       cameraReplay.aspect = clientWidth / clientHeight;
       cameraReplay.updateProjectionMatrix();
     }
 
+    state.resize = resize;
     resize();
     window.addEventListener("resize", resize);
 
     function updateDayNight(delta) {
-      state.timeOfDay = (state.timeOfDay + delta * 0.06) % 24;
-      const daylight = Math.cos((state.timeOfDay / 24) * Math.PI * 2) * 0.5 + 0.5;
+      state.timeOfDay = (state.timeOfDay + delta * state.timeRate) % 24;
+      const daylight =
+        Math.cos(((state.timeOfDay - 12) / 24) * Math.PI * 2) * 0.5 + 0.5;
       ambientLight.intensity = THREE.MathUtils.lerp(0.2, 0.8, daylight);
       sunLight.intensity = THREE.MathUtils.lerp(0.1, 1.2, daylight);
       sunLight.position.set(
@@ -214,6 +467,28 @@ function RacingGame() {
         new THREE.Color("#78b7ff"),
         daylight,
       );
+      const weather = state.session?.weather.getVisuals();
+      if (weather) {
+        skyColor.lerp(weather.sky.multiplyScalar(0.25 + daylight * 0.75), weather.cloud);
+        sunLight.intensity *= 1 - weather.cloud * 0.6;
+        scene.fog.near = weather.fogNear;
+        scene.fog.far = weather.fogFar;
+        const shown = state.particleWeather;
+        if (
+          !shown ||
+          shown.particle !== weather.particle ||
+          Math.abs(shown.intensity - weather.intensity) > 0.05
+        ) {
+          state.particleWeather = { particle: weather.particle, intensity: weather.intensity };
+          state.particleSystem.setWeather({
+            ...state.track.config.weather,
+            ...state.particleWeather,
+          });
+        }
+      } else {
+        scene.fog.near = 80;
+        scene.fog.far = 380;
+      }
       scene.background.copy(skyColor);
       scene.fog.color.copy(skyColor.clone().lerp(new THREE.Color("#0b0d13"), 0.4));
       if (state.track) {
@@ -225,118 +500,43 @@ function RacingGame() {
           state.nightLights = null;
         }
       }
+      state.carLights.forEach((lights) => lights.setEnabled(Boolean(state.nightLights)));
       setNightMode(daylight < 0.25);
     }
 
     function updateRace(dt) {
-      const { race, track, cars, ai, replay, particleSystem } = state;
+      const { race, track, cars, replay, particleSystem, session } = state;
       if (!track || cars.length === 0) return;
 
-      race.elapsed += dt;
       if (race.status === "replay") {
-        const frame = replay.player.step(dt, cars);
-        if (!frame) return;
+        if (replay.player.step(dt, cars) === null) return;
         updateCameras(dt);
-        renderer.setScissorTest(true);
-        const { clientWidth, clientHeight } = container;
-        renderer.setViewport(0, 0, clientWidth, clientHeight);
-        renderer.setScissor(0, 0, clientWidth, clientHeight);
-        renderer.render(scene, state.cameras.cameraReplay);
-        renderer.setScissorTest(false);
+        updateReplayHud();
         return;
       }
 
+      if (session) {
+        session.update(dt);
+        state.leaderboard = session.leaderboard;
+      }
       replay.recorder.record(race.elapsed, cars);
 
-      const inputs = [];
-      state.players.forEach((player) => {
-        inputs.push(controlsRef.current[player.id]);
-      });
-      ai.forEach((driver, idx) => {
-        const car = cars[state.players.length + idx];
-        const input = driver.update(car, track, dt, {
-          opponents: cars,
-        });
-        inputs.push(input);
-      });
-
-      cars.forEach((car, idx) => {
-        const input = inputs[idx] ?? INPUT_TEMPLATE;
-        if (race.status === "countdown") {
-          const eased = Math.max(0, (3 - race.countdown) / 3);
-          car.update(dt, { ...input, throttle: eased * input.throttle * 0.4 }, track, track.config.weather);
-        } else if (race.status === "running") {
-          car.update(dt, input, track, track.config.weather);
-        }
-      });
-
+      particleSystem.update(dt);
+      state.damageVisuals.forEach((visuals) => visuals.update(dt));
       if (race.status === "running") {
-        particleSystem.update(dt);
-        cars.forEach((car, idx) => {
+        cars.forEach((car) => {
           if (car.speed > 25 && Math.abs(car.velocity.dot(car.getSideVector())) > 2) {
             particleSystem.spawnTireSmoke(car);
           }
-          if (idx < state.players.length && controlsRef.current[`player${idx + 1}`].boost) {
+          if (session?.boost.isBoosting(car)) {
             particleSystem.spawnEngineFlare(car);
           }
         });
-      } else {
-        particleSystem.update(dt);
       }
 
-      updateLapLogic(dt);
-      updateLeaderboard();
       updateCameras(dt);
       updateHUD(dt);
       drawMinimap();
-      handleElimination(dt);
-    }
-
-    function updateLapLogic(dt) {
-      const { race, cars, track } = state;
-      cars.forEach((car) => {
-        const prevProgress = car.progress;
-        car.progress = track.getProgress(car.position);
-        if (!car.finished && prevProgress > 0.9 && car.progress < 0.1) {
-          car.currentLap += 1;
-          car.lastLapTime = car.totalLapTime;
-          car.bestLap = Math.min(car.bestLap, car.lastLapTime);
-          car.totalLapTime = 0;
-          if (car.currentLap >= race.lapTarget) {
-            car.finished = true;
-            race.podium.push(car.name);
-            if (state.players.some((p) => p.name === car.name)) {
-              replay.recorder.stop();
-              setReplayReady(true);
-            }
-            if (race.podium.length === state.players.length + state.ai.length) {
-              finishRace();
-            }
-          }
-        }
-      });
-    }
-
-    function updateLeaderboard() {
-      const { cars } = state;
-      const leaderboard = [...cars]
-        .map((car) => ({
-          car,
-          lap: car.currentLap,
-          progress: car.progress,
-          distance: car.distanceTravelled,
-        }))
-        .sort((a, b) => {
-          if (a.car.finished && b.car.finished) return a.car.lastLapTime - b.car.lastLapTime;
-          if (a.car.finished) return -1;
-          if (b.car.finished) return 1;
-          if (a.lap !== b.lap) return b.lap - a.lap;
-          if (Math.abs(a.progress - b.progress) > 0.02) {
-            return b.progress - a.progress;
-          }
-          return b.distance - a.distance;
-        });
-      state.leaderboard = leaderboard;
     }
 
     function updateCameras(dt) {
@@ -345,8 +545,7 @@ function RacingGame() {
       const [playerOne, playerTwo] = cars;
       const chaseOffset = new THREE.Vector3(0, 6, 12);
 
-      function positionCamera(camera, car, blend = 0.12) {
-        const forward = car.getForwardVector();
+      function positionCamera(camera, car, blend = 0.12, forward = car.getForwardVector()) {
         const targetPosition = car.position
           .clone()
           .addScaledVector(forward, -chaseOffset.z)
@@ -357,15 +556,25 @@ function RacingGame() {
       }
 
       if (race.status === "replay") {
-        const mode = state.replay.player.cameraMode;
+        const { player, camera: mode, tracksideCameras } = state.replay;
+        const focus = Math.min(state.replay.focus, cars.length - 1);
+        const target = cars[focus];
         if (mode === "chase") {
-          positionCamera(cameras.cameraReplay, cars[0], 0.08);
+          positionCamera(cameras.cameraReplay, target, 0.08, player.getForward(focus));
         } else if (mode === "orbit") {
-          const orbit = cars[0].position.clone().add(new THREE.Vector3(0, 16, 0));
+          const angle = player.time * 0.35;
+          const orbit = target.position
+            .clone()
+            .add(new THREE.Vector3(Math.cos(angle) * 18, 10, Math.sin(angle) * 18));
           cameras.cameraReplay.position.lerp(orbit, 0.05);
-          cameras.cameraReplay.lookAt(cars[0].position);
+          cameras.cameraReplay.lookAt(target.position);
+        } else if (mode === "trackside" && tracksideCameras.length) {
+          const progress = state.track.getProgress(target.position);
+          const shot = pickTracksideCamera(tracksideCameras, progress);
+          cameras.cameraReplay.position.copy(shot.position);
+          cameras.cameraReplay.lookAt(target.position);
         } else {
-          const t = (performance.now() * 0.0002) % 1;
+          const t = (player.time * 0.012) % 1;
           const point = state.track.curve.getPointAt(t);
           const ahead = state.track.curve.getPointAt((t + 0.02) % 1);
           cameras.cameraReplay.position.lerp(
@@ -379,28 +588,7 @@ function RacingGame() {
 
       positionCamera(cameras.cameraPrimary, playerOne);
       if (state.players.length > 1) {
-        positionCamera(cameras.cameraSecondary, playerTwo ?? playerOne);
-      } else {
-        const spectator = state.leaderboard[1]?.car ?? playerOne;
-        positionCamera(cameras.cameraSecondary, spectator, 0.1);
-      }
-    }
-
-    function handleElimination(dt) {
-      const { race, leaderboard, cars } = state;
-      if (race.mode !== "elimination" || race.status !== "running") return;
-      race.eliminationTimer -= dt;
-      if (race.eliminationTimer <= 0) {
-        const candidate = leaderboard[leaderboard.length - 1]?.car;
-        if (candidate && !candidate.finished) {
-          candidate.finished = true;
-          race.eliminated.push(candidate.name);
-          candidate.applyDamage(100);
-          race.eliminationTimer = race.eliminationInterval;
-          if (cars.filter((c) => !c.finished).length <= 1) {
-            finishRace();
-          }
-        }
+        positionCamera(cameras.cameraSecondary, playerTwo);
       }
     }
 
@@ -424,13 +612,49 @@ function RacingGame() {
         speed: car.speed * 3.6,
         countdown: state.race.status === "countdown" ? state.race.countdown : 0,
         trackName: state.track?.config.name ?? "",
-        weather: state.track?.config.weather.particle ?? "clear",
+        weather: state.session?.weather.label ?? state.track?.config.weather.particle ?? "clear",
+        grip: state.session ? state.session.weather.getGrip(car) : 1,
+        damage: state.session?.collisions.getDamage(car) ?? 0,
+        boost: state.session?.boost.enabled ? state.session.boost.getEnergy(car) : null,
+        drafting: state.session?.boost.getState(car).drafting ?? false,
+        tyres: state.session?.pits.tyreWear ? 1 - state.session.pits.getState(car).wear : null,
+        fuel: state.session?.pits.fuel ? state.session.pits.getState(car).fuel : null,
+        pitLimiter: state.session?.pits.getState(car).inLane ?? false,
+        pitService: state.session?.pits.getState(car).servicing ?? 0,
         stage: state.race.stage + 1,
         eliminated: [...state.race.eliminated],
+        sectors: state.session
+          ? state.session.sectors.getDisplay(car).map(
+              (sector) =>
+                sector && { rating: sector.rating, delta: sector.deltaPersonal },
+            )
+          : [],
+        wrongWay: state.session?.validator.isWrongWay(car) ?? false,
+        lapValid: state.session?.validator.isLapValid(car) ?? true,
+        penalty: state.session?.validator.getPenalty(car) ?? 0,
+        ghostDelta:
+          state.ghost && state.race.status === "running"
+            ? state.ghost.getDelta(car)
+            : null,
         message:
           state.race.status === "finished"
             ? "Race Complete - Watch Replay!"
-            : "",
+            : state.notice && state.notice.expires > state.race.elapsed
+              ? state.notice.text
+              : "",
+      }));
+    }
+
+    function updateReplayHud() {
+      const now = state.clock.elapsedTime;
+      if (now - state.lastHudUpdate < 0.08) return;
+      state.lastHudUpdate = now;
+      const { player } = state.replay;
+      setReplayView((prev) => ({
+        ...prev,
+        time: player.time,
+        duration: player.duration,
+        playing: player.playing,
       }));
     }
 
@@ -455,32 +679,65 @@ function RacingGame() {
       ctx.closePath();
       ctx.stroke();
 
+      if (state.session) {
+        ctx.strokeStyle = "#f5c518";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        state.session.pitLane.getPath(24).forEach((pt, idx) => {
+          const x = size / 2 + pt.x * 0.6;
+          const y = size / 2 + pt.z * 0.6;
+          if (idx === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+      }
+
       state.cars.forEach((car, idx) => {
         const x = size / 2 + car.position.x * 0.6;
         const y = size / 2 + car.position.z * 0.6;
-        ctx.fillStyle = idx === 0 ? "#ffffff" : idx === 1 ? "#ff5a5f" : "#37ff8b";
+        ctx.fillStyle =
+          idx >= state.players.length
+            ? "#37ff8b"
+            : idx === 0
+              ? "#ffffff"
+              : "#ff5a5f";
         ctx.beginPath();
         ctx.arc(x, y, 4, 0, Math.PI * 2);
         ctx.fill();
       });
     }
 
-    function finishRace() {
-      state.race.status = "finished";
-      setPhase("results");
-    }
+    state.renderReplayFrame = (time, dt) => {
+      const { player } = state.replay;
+      player.seek(time);
+      player.apply(state.cars);
+      updateCameras(dt);
+    };
 
     function animate() {
       state.animationId = renderer.setAnimationLoop(animate);
       const dt = Math.min(clock.getDelta(), 0.05);
+      gamepadsRef.current?.poll();
+      if (gamepadsRef.current?.startPressed) togglePauseRef.current?.();
       if (!state.track) return;
-      updateDayNight(dt);
-      if (state.race.status === "countdown") {
-        state.race.countdown = Math.max(0, state.race.countdown - dt);
-        if (state.race.countdown <= 0) {
-          state.race.status = "running";
-        }
+      if (state.preview) {
+        state.preview.angle += dt * 0.15;
+        const { angle } = state.preview;
+        cameraPrimary.position.set(Math.cos(angle) * 260, 170, Math.sin(angle) * 260);
+        cameraPrimary.lookAt(0, 0, 0);
+        updateDayNight(dt);
+        renderViews();
+        return;
+      }
+      if (state.paused) {
+        renderViews();
+        return;
+      }
+      if (state.exporter) {
+        renderViews();
+        return;
       }
+      updateDayNight(dt);
       updateRace(dt);
       renderViews();
     }
@@ -495,6 +752,13 @@ function RacingGame() {
         return;
       }
 
+      if (state.players.length < 2) {
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, clientWidth, clientHeight);
+        renderer.render(scene, cameras.cameraPrimary);
+        return;
+      }
+
       renderer.setScissorTest(true);
       const halfHeight = Math.floor(clientHeight / 2);
 
@@ -515,6 +779,7 @@ function RacingGame() {
       renderer.setAnimationLoop(null);
       Object.values(state.cameras).forEach((camera) => camera.removeFromParent?.());
       particleSystem.dispose();
+      state.clipExporter?.dispose();
       renderer.dispose();
       container.removeChild(renderer.domElement);
     }
@@ -522,9 +787,35 @@ function RacingGame() {
     return cleanup;
   }, [mode]);
 
+  // Rebuilt on every return to the menu so lap records set in the last race show.
+  const trackCards = useMemo(() => {
+    if (phase !== "menu") return [];
+    return [...TRACK_LIBRARY, ...customTracks].map((config) => {
+      const { curve } = new Track(config);
+      return {
+        id: config.id ?? config.name,
+        config,
+        curve,
+        ...getTrackStats(curve),
+        records: loadTrackRecords(config),
+      };
+    });
+  }, [phase, customTracks]);
+
+  useEffect(() => {
+    keyBindingsRef.current = buildKeyBindings(
+      controlSettings.profiles[controlSettings.active],
+    );
+  }, [controlSettings]);
+
   useEffect(() => {
+    gamepadsRef.current = new GamepadManager();
     function handleKeyDown(event) {
-      Object.entries(KEY_BINDINGS).forEach(([playerKey, bindings]) => {
+      if (event.code === "Escape") {
+        togglePauseRef.current?.();
+        return;
+      }
+      Object.entries(keyBindingsRef.current).forEach(([playerKey, bindings]) => {
         const bind = bindings[event.code];
         if (!bind) return;
         const control = controlsRef.current[playerKey];
@@ -538,7 +829,7 @@ function RacingGame() {
       });
     }
     function handleKeyUp(event) {
-      Object.entries(KEY_BINDINGS).forEach(([playerKey, bindings]) => {
+      Object.entries(keyBindingsRef.current).forEach(([playerKey, bindings]) => {
         const bind = bindings[event.code];
         if (!bind) return;
         const control = controlsRef.current[playerKey];
@@ -564,93 +855,352 @@ function RacingGame() {
     };
   }, []);
 
-  function prepareRace({ stageIndex = 0 } = {}) {
+  function setPausedState(value) {
     const engine = gameRef.current;
-    if (!engine) return;
-    const { scene } = engine;
+    if (engine) engine.paused = value;
+    setPaused(value);
+  }
 
-    if (engine.trackGroup) {
-      scene.remove(engine.trackGroup);
+  function togglePause() {
+    const engine = gameRef.current;
+    if (!engine?.session?.isActive()) return;
+    if (showControls) {
+      setShowControls(false);
+      return;
     }
-    if (engine.nightLights) {
-      scene.remove(engine.nightLights);
-      engine.nightLights = null;
+    setPausedState(!engine.paused);
+  }
+
+  useEffect(() => {
+    togglePauseRef.current = togglePause;
+  });
+
+  useEffect(() => {
+    function handleVisibility() {
+      const engine = gameRef.current;
+      if (!document.hidden || !engine?.session?.isActive()) return;
+      engine.paused = true;
+      setPaused(true);
     }
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
+  function updateControlSettings(next) {
+    saveControlProfiles(next);
+    setControlSettings(next);
+  }
 
+  function buildRaceSetup(stageIndex) {
     const trackConfig =
-      TRACK_LIBRARY[(championshipStage + stageIndex) % TRACK_LIBRARY.length];
-    const track = new Track(trackConfig);
-    const trackGroup = track.buildScene();
-    scene.add(trackGroup);
-    engine.trackGroup = trackGroup;
-    engine.track = track;
-    engine.race = {
-      ...engine.race,
-      status: "countdown",
+      (mode !== "championship" && findTrackConfig(selectedTrackId, customTracks)) ||
+      TRACK_LIBRARY[stageIndex % TRACK_LIBRARY.length];
+    return {
       mode,
-      lapTarget: MODE_CONFIG[mode].laps,
-      countdown: 3,
-      elapsed: 0,
-      eliminated: [],
-      podium: [],
-      stage: stageIndex,
-      eliminationTimer: MODE_CONFIG[mode].laps > 0 ? 45 : 0,
+      stageIndex,
+      trackId: trackConfig.id ?? trackConfig.name,
+      lapTarget: raceSettings.laps,
+      eliminationInterval: raceSettings.eliminationInterval,
+      seed: randomSeed(),
+      weather: { mode: raceSettings.weatherMode },
+      time: { start: raceSettings.startTime, speed: raceSettings.timeSpeed },
+      rules: {
+        collisions: raceSettings.collisions,
+        damage: raceSettings.damage,
+        boost: raceSettings.boost,
+        tyreWear: raceSettings.tyreWear,
+        fuel: raceSettings.fuel,
+      },
+      players: [
+        {
+          id: "player1",
+          name: "Player One",
+          color,
+          preset: presetKey,
+          upgrade: upgradeKey,
+          ...(tuning && { tuning }),
+        },
+        { id: "player2", name: "Player Two", color: "#4ee1ff", preset: "lightweight", upgrade: "stock" },
+      ].slice(0, playerCount),
+      ai: {
+        // Tracks saved before grids held a full field cap the AI count.
+        count: Math.max(
+          0,
+          Math.min(
+            raceSettings.aiCount,
+            (trackConfig.spawnGrid?.slots ?? MAX_FIELD_SIZE) - playerCount,
+          ),
+        ),
+        skill: raceSettings.difficulty,
+        adaptive: raceSettings.adaptiveAI,
+      },
     };
-    if (engine.cars.length) {
-      engine.cars.forEach((car) => {
-        scene.remove(car.mesh);
-      });
+  }
+
+  function prepareRace({ stageIndex = 0 } = {}) {
+    startRace(buildRaceSetup(stageIndex));
+  }
+
+  // A replayed race restarts from its own recorded inputs.
+  function restartRace() {
+    const engine = gameRef.current;
+    if (engine?.inputPlayback) {
+      const { data } = engine.inputPlayback;
+      startRace(data.setup, { inputReplay: new InputPlayback(data) });
+      return;
     }
-    engine.cars = [];
-    engine.players = [];
-    engine.ai = [];
-    engine.leaderboard = [];
-    engine.replay.recorder.start(engine.clock.elapsedTime);
+    prepareRace({ stageIndex: engine?.race.stage ?? 0 });
+  }
+
+  function startRace(setup, { inputReplay = null } = {}) {
+    const engine = gameRef.current;
+    if (!engine) return;
+    const { scene } = engine;
+    const { mode, stageIndex } = setup;
+    setPausedState(false);
+
+    const trackConfig = findTrackConfig(setup.trackId, customTracks);
+    if (!trackConfig) return;
+    const track = loadTrack(engine, trackConfig);
+    const session = new RaceSession({
+      track,
+      mode,
+      lapTarget: setup.lapTarget,
+      stage: stageIndex,
+      eliminationInterval: setup.eliminationInterval,
+      seed: setup.seed,
+      step: inputReplay?.data.step,
+      weather: setup.weather,
+      rules: setup.rules,
+      adaptive: setup.ai.adaptive,
+    });
+    engine.session = session;
+    engine.race = session.race;
+    engine.trackGroup.add(session.pitLane.buildMesh());
+    engine.cars = session.cars;
+    engine.replay.recorder.start();
     engine.replay.player.stop();
+    engine.replay.focus = 0;
+    engine.replay.cars = [];
+    engine.replay.events = [];
     setReplayReady(false);
     controlsRef.current.player1 = { ...INPUT_TEMPLATE };
     controlsRef.current.player2 = { ...INPUT_TEMPLATE };
 
-    const totalAI = MODE_CONFIG[mode].ai;
-    const players = [
-      new Car({ color, name: "Player One" }),
-      new Car({
-        color: "#4ee1ff",
-        name: "Player Two",
-      }),
-    ];
-    players[0].setUpgrade(upgradeKey, presetKey);
-    players[1].setUpgrade("stock", "lightweight");
-    engine.players = [
-      { id: "player1", name: "Player One", car: players[0] },
-      { id: "player2", name: "Player Two", car: players[1] },
-    ];
-
-    engine.cars.push(...players);
-    players.forEach((car, index) => {
-      const spawn = track.getSpawnPoint(index);
-      car.reset(spawn.position, spawn.yaw);
+    const players = setup.players.map(({ id, name, color: paint, preset, upgrade, tuning: chosen }) => {
+      const car = new Car({ color: paint, name });
+      // Without a chosen setup `tuned` stays undefined and the car keeps its
+      // preset's stock handling.
+      const tuned = chosen && sanitizeTuning(chosen, getTuningLimits(preset, VEHICLE_PRESETS[preset]));
+      car.setUpgrade(upgrade, preset, tuned);
+      engine.players.push({ id, name, car });
+      engine.replay.cars.push({ name, color: paint, preset, upgrade, tuning: tuned });
+      return car;
+    });
+    engine.players.forEach(({ id, car }, idx) => {
+      session.addPlayer(
+        id,
+        car,
+        () =>
+          inputReplay
+            ? inputReplay.readInput(id)
+            : mergeInputs(controlsRef.current[id], gamepadsRef.current?.getInput(id)),
+        { mass: VEHICLE_PRESETS[setup.players[idx].preset]?.mass ?? DEFAULT_MASS },
+      );
       scene.add(car.mesh);
     });
 
-    const aiDrivers = createAIDrivers(totalAI, mode === "championship" ? "pro" : mode === "elimination" ? "elite" : "rookie");
+    const aiDrivers = createRacecraftDrivers(
+      createAIDrivers(setup.ai.count, setup.ai.skill),
+      setup.ai.skill,
+      session.random,
+    );
     aiDrivers.forEach((driver, idx) => {
-      const aiCar = new Car({
-        color: `hsl(${Math.random() * 360}, 70%, 55%)`,
+      const aiColor = `hsl(${Math.round(session.random() * 360)}, 70%, 55%)`;
+      const aiUpgrade = idx % 2 === 0 ? "performance" : "stock";
+      const aiCar = new Car({ color: aiColor, name: driver.name });
+      aiCar.setUpgrade(aiUpgrade, "balanced");
+      engine.replay.cars.push({
         name: driver.name,
+        color: aiColor,
+        preset: "balanced",
+        upgrade: aiUpgrade,
       });
-      aiCar.setUpgrade(idx % 2 === 0 ? "performance" : "stock", "balanced");
-      const spawn = track.getSpawnPoint(engine.cars.length);
-      aiCar.reset(spawn.position, spawn.yaw);
-      engine.cars.push(aiCar);
+      session.addAI(driver, aiCar, { mass: VEHICLE_PRESETS.balanced?.mass ?? DEFAULT_MASS });
       scene.add(aiCar.mesh);
     });
     engine.ai = aiDrivers;
+    engine.resize();
+
+    engine.timeOfDay = setup.time?.start ?? 9;
+    engine.timeRate = TIME_SPEEDS[setup.time?.speed]?.rate ?? TIME_SPEEDS.accelerated.rate;
+    engine.damageVisuals = session.entries.map((entry) => new DamageVisuals(entry.car));
+    session.on("impact", ({ car, point, severity, damage }) => {
+      if (!session.race.rules.damage) return;
+      engine.damageVisuals[session.cars.indexOf(car)]?.hit(point, severity, damage);
+    });
+    engine.carLights = session.entries.map(
+      (entry) => new CarLights(entry.car, { beams: entry.kind === "player" }),
+    );
+    session.on("tick", ({ inputs }) => {
+      engine.carLights.forEach((lights, idx) => {
+        const input = inputs[idx];
+        lights.setBraking(Boolean(input && (input.brake > 0.1 || input.handbrake > 0.1)));
+      });
+    });
+
+    engine.inputRecorder?.stop();
+    engine.inputRecorder = null;
+    engine.inputPlayback = inputReplay;
+    if (inputReplay) {
+      inputReplay.attach(session);
+      session.on("drift", ({ time }) => {
+        engine.notice = {
+          text: `Replay drift detected at ${formatTime(time)}`,
+          expires: session.race.elapsed + 5,
+        };
+      });
+    } else {
+      engine.inputRecorder = new InputRecorder(session, setup);
+    }
+
+    if (mode === "time-trial" && !inputReplay) {
+      const [driver] = setup.players;
+      const ghost = new LapGhost({
+        key: personalBestKey(trackConfig, driver.preset, driver.upgrade),
+        color: driver.color,
+      });
+      const [playerCar] = players;
+      playerCar.bestLap = Math.min(playerCar.bestLap, ghost.bestTime);
+      scene.add(ghost.car.mesh);
+      engine.ghost = ghost;
+      session.on("start", () => ghost.startLap());
+      session.on("tick", ({ dt }) => {
+        if (session.race.status !== "running" || playerCar.finished) return;
+        ghost.record(playerCar);
+        ghost.step(dt);
+      });
+      session.on("lap", ({ car, time, valid }) => {
+        if (car !== playerCar) return;
+        const best = ghost.completeLap(time, valid);
+        if (best) {
+          engine.notice = {
+            text: best.saved
+              ? `New personal best ${formatTime(time)}!`
+              : `Personal best ${formatTime(time)} could not be saved: browser storage is full`,
+            expires: session.race.elapsed + 3,
+          };
+        }
+        ghost.startLap();
+      });
+    }
+
+    session.on("lap", ({ car, time, valid }) => {
+      const entry = session.getEntry(car);
+      if (!valid || inputReplay || entry?.kind !== "player") return;
+      const player = setup.players.find(({ id }) => id === entry.id);
+      const rank = submitLapRecord(track.config, {
+        time,
+        name: car.name,
+        preset: player?.preset,
+        upgrade: player?.upgrade,
+        mode,
+      });
+      if (rank === 1) {
+        engine.notice = {
+          text: `New track record ${formatTime(time)}!`,
+          expires: session.race.elapsed + 3,
+        };
+      }
+    });
+    session.on("weather", ({ label }) => {
+      engine.notice = {
+        text: `Weather changing: ${label}`,
+        expires: session.race.elapsed + 4,
+      };
+    });
+    session.on("impact", ({ entry, severity }) => {
+      if (entry?.kind !== "player") return;
+      gamepadsRef.current?.rumble(entry.id, {
+        strong: severity / 6,
+        weak: 0.5,
+        duration: 220,
+      });
+    });
+    session.on("trackLimits", ({ car, penalty, lapInvalidated }) => {
+      const entry = session.getEntry(car);
+      if (entry?.kind !== "player") return;
+      gamepadsRef.current?.rumble(entry.id, { strong: 0.2, weak: 0.8, duration: 350 });
+      engine.notice = {
+        text: lapInvalidated
+          ? `${car.name}: track limits - lap invalidated`
+          : `${car.name}: track limits +${penalty}s`,
+        expires: session.race.elapsed + 2.5,
+      };
+    });
+    session.on("pitStop", ({ car, stops }) => {
+      engine.damageVisuals[session.cars.indexOf(car)]?.repair();
+      engine.notice = {
+        text: `${car.name} pits (stop ${stops})`,
+        expires: session.race.elapsed + 2.5,
+      };
+    });
+    session.on("outOfFuel", ({ car, entry }) => {
+      if (entry?.kind !== "player") return;
+      engine.notice = {
+        text: `${car.name}: out of fuel! Limp to the pits`,
+        expires: session.race.elapsed + 4,
+      };
+    });
+    ["lap", "overtake", "elimination", "carFinished", "trackLimits", "pitStop"].forEach((type) => {
+      session.on(type, ({ car, passed, time, penalty, stops }) => {
+        engine.replay.events.push({
+          time: session.race.elapsed,
+          type,
+          car: car.name,
+          detail: passed?.name ?? time ?? penalty ?? stops,
+        });
+      });
+    });
+    session.on("carFinished", ({ entry }) => {
+      if (entry?.kind !== "player") return;
+      engine.replay.recorder.stop();
+      setReplayReady(true);
+    });
+    session.on("finish", ({ leaderboard }) => {
+      setRaceResults(
+        leaderboard.map(({ car, pitStops }) => ({
+          name: car.name,
+          personality: session.getEntry(car)?.driver?.personality?.label ?? null,
+          bestLap: car.bestLap,
+          idealLap: session.sectors.getTheoreticalBest(car),
+          penalty: session.validator.getPenalty(car),
+          pitStops,
+        })),
+      );
+      const championship = championshipRef.current;
+      if (mode === "championship" && championship && !inputReplay) {
+        const finishers = leaderboard.map(({ car }) => ({
+          name: car.name,
+          bestLap: car.bestLap,
+          isPlayer: session.getEntry(car)?.kind === "player",
+        }));
+        const standings = championship.recordRound(track.config.name, finishers);
+        setSeason({
+          round: championship.round,
+          rounds: championship.rounds,
+          complete: championship.isComplete(),
+          standings,
+        });
+      }
+      setPhase("results");
+    });
 
     engine.particleSystem.setWeather(track.config.weather);
     setHud((prev) => ({
       ...prev,
-      mode: MODE_CONFIG[mode].label,
+      mode: MODE_CONFIG[mode]?.label ?? prev.mode,
       lapsTotal: engine.race.lapTarget,
       lap: 1,
       bestLap: 0,
@@ -665,50 +1215,304 @@ function RacingGame() {
     setPhase("countdown");
   }
 
-  function startReplay() {
+  function startChampionship() {
+    championshipRef.current = new Championship({
+      rounds: TRACK_LIBRARY.length,
+      points: raceSettings.points,
+    });
+    setSeason(null);
+    setChampionshipStage(0);
+    prepareRace({ stageIndex: 0 });
+  }
+
+  function startReplay({ force = false } = {}) {
     const engine = gameRef.current;
-    if (!engine || !replayReady) return;
-    const started = engine.replay.player.start(1);
+    if (!engine || (!replayReady && !force)) return;
+    const { replay } = engine;
+    engine.carLights.forEach((lights) => lights.setBraking(false));
+    const started = replay.player.start(1);
     if (!started) return;
+    replay.tracksideCameras = createTracksideCameras(engine.track);
+    if (engine.ghost) engine.ghost.car.mesh.visible = false;
     engine.race.status = "replay";
+    setReplayView({
+      time: 0,
+      duration: replay.player.duration,
+      playing: true,
+      speed: 1,
+      focus: replay.focus,
+      camera: replay.camera,
+    });
     setPhase("replay");
   }
 
-  function toggleReplayCamera() {
+  function updateReplay(changes) {
+    const engine = gameRef.current;
+    if (!engine) return;
+    const { replay } = engine;
+    if (changes.speed !== undefined) replay.player.setSpeed(changes.speed);
+    if (changes.time !== undefined) replay.player.seek(changes.time);
+    if (changes.playing === true) replay.player.play();
+    if (changes.playing === false) replay.player.pause();
+    if (changes.focus !== undefined) replay.focus = changes.focus;
+    if (changes.camera !== undefined) replay.camera = changes.camera;
+    setReplayView((prev) => ({
+      ...prev,
+      ...changes,
+      time: replay.player.time,
+      playing: replay.player.playing,
+    }));
+  }
+
+  function openClipPanel() {
     const engine = gameRef.current;
     if (!engine) return;
-    const mode = engine.replay.player.toggleCameraMode();
+    const { duration, time } = engine.replay.player;
+    const to = Math.min(duration, Math.max(time, 10));
+    setClipSettings((prev) => ({
+      ...prev,
+      format: isWebmSupported() ? prev.format : "gif",
+      from: Math.max(0, to - 10),
+      to,
+    }));
+    setClipError("");
+    updateReplay({ playing: false });
+    setShowClipPanel(true);
+  }
+
+  function prepareExporter() {
+    const engine = gameRef.current;
+    const [width, height] = CLIP_RESOLUTIONS[clipSettings.resolution];
+    engine.clipExporter ??= new ClipExporter({
+      scene: engine.scene,
+      camera: engine.cameras.cameraReplay,
+    });
+    return engine.clipExporter.prepare(width, height);
+  }
+
+  async function exportClip() {
+    const engine = gameRef.current;
+    if (!engine?.track || engine.exporter) return;
+    const { from, to, fps, format } = clipSettings;
+    if (to - from < 0.5) {
+      setClipError("Pick a range of at least half a second.");
+      return;
+    }
+    const resumeTime = engine.replay.player.time;
+    const exporter = prepareExporter();
+    engine.exporter = exporter;
+    setClipError("");
+    setClipProgress(0);
+    try {
+      for (let settle = 0; settle < 30; settle += 1) {
+        engine.renderReplayFrame(from, 1 / fps);
+      }
+      const blob = await exporter.export({
+        format,
+        from,
+        to,
+        fps,
+        prepareFrame: engine.renderReplayFrame,
+        onProgress: setClipProgress,
+      });
+      if (!exporter.cancelled) {
+        downloadBlob(blob, `${slugify(engine.track.config.name)}-${Date.now()}.${format}`);
+      }
+    } catch (error) {
+      setClipError(error.message);
+    } finally {
+      engine.exporter = null;
+      setClipProgress(null);
+      updateReplay({ time: resumeTime });
+    }
+  }
+
+  async function capturePhoto() {
+    const engine = gameRef.current;
+    if (!engine?.track || engine.exporter) return;
+    try {
+      const blob = await prepareExporter().snapshot();
+      downloadBlob(blob, `${slugify(engine.track.config.name)}-photo-${Date.now()}.png`);
+      setPhotoError("");
+    } catch (error) {
+      setPhotoError(error.message);
+    }
+  }
+
+  function togglePhotoMode() {
+    updateReplay({ playing: false });
+    setShowClipPanel(false);
+    setPhotoError("");
+    setPhotoMode((prev) => !prev);
+  }
+
+  function cycleReplayCamera() {
+    const index = REPLAY_CAMERA_MODES.indexOf(replayView.camera);
+    const camera = REPLAY_CAMERA_MODES[(index + 1) % REPLAY_CAMERA_MODES.length];
+    updateReplay({ camera });
     setHud((prev) => ({
       ...prev,
-      message: `Replay camera: ${mode}`,
+      message: `Replay camera: ${camera}`,
     }));
   }
 
-  function restartFromMenu() {
+  function saveReplay() {
     const engine = gameRef.current;
-    if (engine) {
-      if (engine.trackGroup) {
-        engine.scene.remove(engine.trackGroup);
-        engine.trackGroup = null;
+    if (!engine?.track || engine.replay.recorder.frames.length < 2) return;
+    const data = encodeReplay({
+      track: engine.track.config,
+      cars: engine.replay.cars,
+      frames: engine.replay.recorder.frames,
+      events: engine.replay.events,
+    });
+    downloadJSON(
+      data,
+      `${slugify(engine.track.config.name)}-${Date.now()}${REPLAY_EXTENSION}`,
+    );
+  }
+
+  function saveInputReplay() {
+    const engine = gameRef.current;
+    if (!engine?.inputRecorder || !engine.track) return;
+    downloadJSON(
+      engine.inputRecorder.export(),
+      `${slugify(engine.track.config.name)}-${Date.now()}${INPUT_REPLAY_EXTENSION}`,
+    );
+  }
+
+  async function loadReplayFile(file) {
+    const engine = gameRef.current;
+    if (!engine || !file) return;
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch {
+        throw new ReplayFileError("This file is not valid JSON.");
       }
-      if (engine.nightLights) {
-        engine.scene.remove(engine.nightLights);
-        engine.nightLights = null;
+      if (isInputReplay(data)) {
+        const inputReplay = parseInputReplay(data);
+        const trackConfig = findTrackConfig(inputReplay.setup.trackId, customTracks);
+        if (!trackConfig) {
+          throw new Error(`Replay track "${inputReplay.setup.trackId}" is not installed.`);
+        }
+        if (hashTrackConfig(trackConfig) !== inputReplay.trackHash) {
+          throw new ReplayFileError(
+            `"${trackConfig.name}" has changed since this replay was recorded, so the race cannot be re-run.`,
+          );
+        }
+        setMenuError("");
+        startRace(inputReplay.setup, { inputReplay: new InputPlayback(inputReplay) });
+        return;
       }
-      engine.cars.forEach((car) => {
-        engine.scene.remove(car.mesh);
+      const replay = decodeReplay(data);
+      const trackConfig = findTrackConfig(replay.track.id, customTracks);
+      if (!trackConfig) {
+        throw new Error(`Replay track "${replay.track.name ?? replay.track.id}" is not installed.`);
+      }
+      const track = loadTrack(engine, trackConfig);
+      engine.replay.cars = replay.cars;
+      engine.replay.events = replay.events;
+      engine.cars = replay.cars.map(({ name, color: paint, preset, upgrade, tuning: tuned }, idx) => {
+        const car = new Car({ color: paint, name });
+        if (VEHICLE_PRESETS[preset]?.upgrades[upgrade]) {
+          car.setUpgrade(
+            upgrade,
+            preset,
+            tuned && sanitizeTuning(tuned, getTuningLimits(preset, VEHICLE_PRESETS[preset])),
+          );
+        }
+        const spawn = track.getSpawnPoint(idx);
+        car.reset(spawn.position, spawn.yaw);
+        engine.scene.add(car.mesh);
+        return car;
       });
-      engine.cars = [];
-      engine.players = [];
-      engine.ai = [];
+      engine.carLights = engine.cars.map((car) => new CarLights(car, { beams: false }));
+      engine.replay.recorder.loadFrames(replay.rows);
+      engine.race = { ...engine.race, status: "finished", mode: null };
+      engine.particleSystem.setWeather(track.config.weather);
+      setMenuError("");
+      setHud((prev) => ({ ...prev, trackName: track.config.name }));
+      startReplay({ force: true });
+    } catch (error) {
+      setMenuError(error.message);
+    }
+  }
+
+  function updateRacePresets(presets) {
+    setRacePresets(presets);
+    saveRacePresets(presets);
+  }
+
+  function previewTrack(config) {
+    const engine = gameRef.current;
+    if (!engine) return;
+    const track = loadTrack(engine, config);
+    engine.race = { ...engine.race, status: "idle" };
+    engine.particleSystem.setWeather(track.config.weather);
+    engine.preview = { angle: 0 };
+    engine.resize();
+  }
+
+  function saveTrack(config) {
+    setCustomTracks(saveCustomTrack(config));
+    setTrackChoice(config.id);
+  }
+
+  function removeTrack(id) {
+    setCustomTracks(deleteCustomTrack(id));
+    if (trackChoice === id) setTrackChoice("");
+  }
+
+  function exportTrackFile(config) {
+    downloadJSON(exportTrack(config), `${slugify(config.name)}${TRACK_EXTENSION}`);
+  }
+
+  async function importTrackFile(file) {
+    if (!file) return;
+    try {
+      const config = parseTrackFile(await file.text());
+      const layout = validateLayout(configToLayout(config));
+      if (!layout.valid) {
+        throw new TrackFileError(`"${config.name}" cannot be raced:`, layout.errors);
+      }
+      const builtIn = TRACK_LIBRARY.some((item) => (item.id ?? item.name) === config.id);
+      const id = builtIn ? `${config.id}-custom` : config.id;
+      const existing = customTracks.find((track) => track.id === id);
+      if (existing && !window.confirm(`Replace your custom track "${existing.name}" with this file?`)) {
+        return;
+      }
+      saveTrack({ ...config, id, custom: true });
+      setMenuError("");
+    } catch (error) {
+      setMenuError(error.message);
+    }
+  }
+
+  function closeEditor() {
+    const engine = gameRef.current;
+    if (engine) clearRaceScene(engine);
+    setPhase("menu");
+  }
+
+  function restartFromMenu() {
+    const engine = gameRef.current;
+    if (engine) {
+      engine.exporter?.cancel();
+      clearRaceScene(engine);
     }
+    setShowClipPanel(false);
+    setPhotoMode(false);
     setPhase("menu");
+    setPaused(false);
     setChampionshipStage(0);
+    championshipRef.current = null;
+    setSeason(null);
     setHud({ ...INITIAL_HUD, mode: MODE_CONFIG[mode].label });
   }
 
   useEffect(() => {
-    if (phase !== "countdown") return;
+    if (phase !== "countdown" || paused) return;
     const countdownInterval = setInterval(() => {
       setHud((prev) => ({
         ...prev,
@@ -717,7 +1521,7 @@ function RacingGame() {
       }));
     }, 1000);
     return () => clearInterval(countdownInterval);
-  }, [phase]);
+  }, [phase, paused]);
 
   return (
     <div
@@ -760,24 +1564,142 @@ function RacingGame() {
               ))}
             </div>
 
-            <div className="mt-8 rounded-2xl border border-white/10 bg-white/5 p-6">
-              <h3 className="text-xl font-semibold text-white">Car Setup</h3>
-              <div className="mt-4 grid gap-4 md:grid-cols-3">
-                <div>
-                  <label className="text-sm uppercase tracking-widest text-cyan-200/70">
-                    Vehicle
-                  </label>
-                  <select
-                    value={presetKey}
-                    onChange={(e) => {
-                      const preset = e.target.value;
-                      setPresetKey(preset);
+            <div className="mt-6 flex flex-wrap items-center gap-3">
+              <span className="text-sm uppercase tracking-widest text-cyan-200/70">
+                Players
+              </span>
+              {[1, 2].map((count) => (
+                <button
+                  key={count}
+                  onClick={() => setPlayerCount(count)}
+                  className={`rounded-xl border px-4 py-2 text-sm font-semibold transition ${
+                    playerCount === count
+                      ? "border-cyan-400 bg-cyan-500/20 text-cyan-100"
+                      : "border-white/20 bg-white/5 text-white/70 hover:bg-white/10"
+                  }`}
+                >
+                  {count === 1 ? "1 Player" : "2 Players"}
+                </button>
+              ))}
+            </div>
+
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <span className="text-sm uppercase tracking-widest text-cyan-200/70">
+                Race
+              </span>
+              <span className="text-sm text-white/80">
+                {raceSettings.laps} laps · {raceSettings.aiCount} AI (
+                {AI_DIFFICULTIES[raceSettings.difficulty]}
+                {raceSettings.adaptiveAI !== "off" && ", adaptive"}) ·{" "}
+                {WEATHER_MODES[raceSettings.weatherMode]} weather · starts{" "}
+                {formatClock(raceSettings.startTime)}
+              </span>
+              <button
+                onClick={() => setShowRaceSettings(true)}
+                className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10"
+              >
+                Race Settings
+              </button>
+            </div>
+
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <span className="text-sm uppercase tracking-widest text-cyan-200/70">
+                Circuit
+              </span>
+              <span className="text-sm text-white/80">
+                {mode === "championship"
+                  ? "Season rotation through every built-in circuit"
+                  : findTrackConfig(selectedTrackId, customTracks)?.name}
+              </span>
+              <button
+                onClick={() => exportTrackFile(findTrackConfig(selectedTrackId, customTracks))}
+                disabled={mode === "championship"}
+                className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10 disabled:opacity-40"
+              >
+                Export Track
+              </button>
+              <label className="cursor-pointer rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10">
+                Import Track
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={(e) => {
+                    importTrackFile(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              <button
+                onClick={() => setPhase("editor")}
+                className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10"
+              >
+                Track Editor
+              </button>
+            </div>
+
+            {mode !== "championship" && (
+              <div className="mt-4 grid max-h-80 gap-3 overflow-y-auto pr-1 md:grid-cols-3">
+                {trackCards.map((card) => (
+                  <button
+                    key={card.id}
+                    onClick={() => setTrackChoice(card.id)}
+                    className={`rounded-2xl border p-3 text-left transition ${
+                      selectedTrackId === card.id
+                        ? "border-cyan-400 bg-cyan-500/15"
+                        : "border-white/10 bg-white/5 hover:bg-white/10"
+                    }`}
+                  >
+                    <TrackThumbnail curve={card.curve} />
+                    <div className="mt-2 flex items-center justify-between">
+                      <span className="font-semibold text-white">{card.config.name}</span>
+                      {card.config.custom && (
+                        <span className="text-[10px] uppercase tracking-widest text-cyan-200/70">
+                          Custom
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-xs text-slate-200/70">
+                      {(card.length / 1000).toFixed(2)} km · {card.corners} corners ·{" "}
+                      {card.config.weather.particle}
+                    </div>
+                    <div className="mt-1 text-xs text-cyan-100">
+                      Best {formatTime(card.records[0]?.time)}
+                    </div>
+                    <ol className="mt-1 space-y-0.5 text-[11px] text-slate-200/70">
+                      {card.records.map((record, idx) => (
+                        <li key={record.setAt} className="flex justify-between">
+                          <span>
+                            {idx + 1}. {record.name}
+                          </span>
+                          <span>{formatTime(record.time)}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="mt-8 rounded-2xl border border-white/10 bg-white/5 p-6">
+              <h3 className="text-xl font-semibold text-white">Car Setup</h3>
+              <div className="mt-4 grid gap-4 md:grid-cols-3">
+                <div>
+                  <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+                    Vehicle
+                  </label>
+                  <select
+                    value={presetKey}
+                    onChange={(e) => {
+                      const preset = e.target.value;
+                      setPresetKey(preset);
                       const colors =
                         VEHICLE_PRESETS[preset].colorOptions ?? [];
                       setColor(colors[0] ?? "#ffffff");
                       setUpgradeKey(
                         Object.keys(VEHICLE_PRESETS[preset].upgrades)[0],
                       );
+                      setTuning(null);
                     }}
                     className="mt-1 w-full rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-white focus:border-cyan-400 focus:outline-none"
                   >
@@ -826,16 +1748,55 @@ function RacingGame() {
                   </div>
                 </div>
               </div>
+              <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+                <span className="text-xs text-slate-200/60">
+                  {tuning
+                    ? `Final drive ${tuning.finalDrive.toFixed(2)} · brake bias ${tuning.brakeBias}% · downforce ${Math.round(tuning.downforce * 100)}% · diff ${tuning.differential}%`
+                    : "Stock setup"}
+                </span>
+                <button
+                  onClick={() => setShowTuning(true)}
+                  className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10"
+                >
+                  Tune Car
+                </button>
+              </div>
             </div>
 
             <div className="mt-8 flex flex-wrap items-center justify-between gap-4">
-              <div className="text-xs text-slate-200/60">
-                Player 1: WASD + Shift (boost), Space (handbrake). Player 2:
-                Arrow Keys + Shift + "/" (handbrake).
+              <div className="max-w-md text-xs text-slate-200/60">
+                {describeBindings(
+                  controlSettings.profiles[controlSettings.active],
+                  playerCount,
+                )}{" "}
+                Gamepads: RT/LT throttle and brake, left stick steer, A boost,
+                B handbrake.
+                <button
+                  onClick={() => setShowControls(true)}
+                  className="ml-2 text-cyan-200 underline-offset-2 hover:underline"
+                >
+                  Edit controls
+                </button>
               </div>
+              <label className="cursor-pointer rounded-2xl border border-white/20 bg-white/10 px-4 py-3 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15">
+                Load Replay
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={(e) => {
+                    loadReplayFile(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
               <button
                 onClick={() => {
-                  prepareRace({ stageIndex: 0 });
+                  if (mode === "championship") {
+                    startChampionship();
+                  } else {
+                    prepareRace({ stageIndex: 0 });
+                  }
                   setPhase("countdown");
                 }}
                 className="rounded-2xl border border-cyan-400 bg-cyan-500/20 px-6 py-3 text-lg font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
@@ -843,6 +1804,11 @@ function RacingGame() {
                 Launch Race
               </button>
             </div>
+            {menuError && (
+              <div className="mt-4 whitespace-pre-line rounded-xl border border-rose-400/40 bg-rose-500/10 px-4 py-2 text-sm text-rose-100">
+                {menuError}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -852,9 +1818,20 @@ function RacingGame() {
           ref={minimapRef}
           width={240}
           height={240}
-          className="absolute right-4 top-4 z-10 rounded-xl border border-white/20 bg-black/60 p-2"
+          className={`absolute right-4 top-4 z-10 rounded-xl border border-white/20 bg-black/60 p-2 ${
+            photoMode || phase === "editor" ? "hidden" : ""
+          }`}
         />
-        <div className="pointer-events-none absolute inset-0 z-10 flex flex-col justify-between">
+        {hud.wrongWay && (
+          <div className="pointer-events-none absolute inset-x-0 top-1/3 z-10 text-center text-5xl font-black uppercase tracking-widest text-rose-400 drop-shadow-lg">
+            Wrong Way
+          </div>
+        )}
+        <div
+          className={`pointer-events-none absolute inset-0 z-10 flex-col justify-between ${
+            photoMode || phase === "editor" ? "hidden" : "flex"
+          }`}
+        >
           <div className="flex justify-between p-4">
             <div className="rounded-2xl border border-white/10 bg-black/60 px-4 py-3">
               <div className="text-xs uppercase tracking-widest text-cyan-200/80">
@@ -862,7 +1839,7 @@ function RacingGame() {
               </div>
               <div className="text-xl font-semibold">{hud.trackName}</div>
               <div className="mt-1 text-xs text-slate-200/70">
-                Weather: {hud.weather}
+                Weather: {hud.weather} · Grip {Math.round(hud.grip * 100)}%
               </div>
             </div>
             <div className="rounded-2xl border border-white/10 bg-black/60 px-4 py-3 text-right">
@@ -875,6 +1852,34 @@ function RacingGame() {
               <div className="mt-1 text-xs text-slate-200/70">
                 Best {formatTime(hud.bestLap)}
               </div>
+              {!hud.lapValid && (
+                <div className="text-xs font-semibold uppercase tracking-widest text-rose-300">
+                  Lap invalid
+                </div>
+              )}
+              {hud.sectors.length > 0 && (
+                <div className="mt-1 flex justify-end gap-1">
+                  {hud.sectors.map((sector, idx) => (
+                    <div
+                      key={idx}
+                      className={`rounded-md px-2 py-0.5 text-[10px] font-semibold ${
+                        sector ? SECTOR_COLORS[sector.rating] : "bg-white/10"
+                      }`}
+                    >
+                      S{idx + 1} {sector ? formatDelta(sector.delta) : ""}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {hud.ghostDelta !== null && (
+                <div
+                  className={`text-sm font-semibold ${
+                    hud.ghostDelta <= 0 ? "text-emerald-300" : "text-rose-300"
+                  }`}
+                >
+                  Ghost {formatDelta(hud.ghostDelta)}
+                </div>
+              )}
             </div>
           </div>
           <div className="flex items-center justify-between p-4">
@@ -885,6 +1890,42 @@ function RacingGame() {
               <div className="text-4xl font-bold">
                 {Math.round(hud.speed)} km/h
               </div>
+              {hud.boost !== null && (
+                <div className="mt-2">
+                  <div className="flex justify-between text-xs uppercase tracking-widest text-slate-200/70">
+                    <span>Boost</span>
+                    <span className="text-cyan-200">{hud.drafting ? "Slipstream" : ""}</span>
+                  </div>
+                  <div className="mt-1 h-2 w-40 overflow-hidden rounded-full bg-white/10">
+                    <div
+                      className={`h-full transition-all ${
+                        hud.boost > 0.2 ? "bg-cyan-400" : "bg-rose-500"
+                      }`}
+                      style={{ width: `${hud.boost * 100}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+              {hud.damage > 0 && (
+                <div className="mt-2">
+                  <div className="flex justify-between text-xs uppercase tracking-widest text-slate-200/70">
+                    <span>Damage</span>
+                    <span>{Math.round(hud.damage)}%</span>
+                  </div>
+                  <div className="mt-1 h-1.5 w-40 overflow-hidden rounded-full bg-white/10">
+                    <div
+                      className={`h-full ${
+                        hud.damage > 65
+                          ? "bg-rose-500"
+                          : hud.damage > 30
+                            ? "bg-amber-400"
+                            : "bg-emerald-400"
+                      }`}
+                      style={{ width: `${hud.damage}%` }}
+                    />
+                  </div>
+                </div>
+              )}
               {phase === "countdown" && (
                 <div className="mt-1 text-lg font-semibold text-cyan-200">
                   {hud.countdown > 0 ? hud.countdown : "GO!"}
@@ -901,6 +1942,27 @@ function RacingGame() {
               <div className="mt-1 text-xs text-slate-200/70">
                 Lap Time {formatTime(hud.lapTime)}
               </div>
+              {hud.penalty > 0 && (
+                <div className="text-xs font-semibold text-rose-300">
+                  Penalty +{hud.penalty}s
+                </div>
+              )}
+              {(hud.tyres !== null || hud.fuel !== null) && (
+                <div className="mt-1 text-xs text-slate-200/70">
+                  {hud.tyres !== null && `Tyres ${Math.round(hud.tyres * 100)}%`}
+                  {hud.tyres !== null && hud.fuel !== null && " · "}
+                  {hud.fuel !== null && (
+                    <span className={hud.fuel < 0.15 ? "font-semibold text-rose-300" : ""}>
+                      Fuel {Math.round(hud.fuel * 100)}%
+                    </span>
+                  )}
+                </div>
+              )}
+              {hud.pitLimiter && (
+                <div className="mt-1 text-xs font-semibold uppercase tracking-widest text-amber-300">
+                  {hud.pitService > 0 ? `Pit service ${hud.pitService.toFixed(1)}s` : "Pit limiter"}
+                </div>
+              )}
             </div>
           </div>
           <div className="flex items-center justify-between p-4">
@@ -930,77 +1992,1559 @@ function RacingGame() {
       {phase === "results" && (
         <div className="absolute inset-0 z-20 grid place-content-center bg-black/80 px-6 py-10">
           <div className="w-full max-w-2xl rounded-3xl border border-white/15 bg-slate-900/90 p-10 shadow-2xl backdrop-blur">
-            <h2 className="text-3xl font-bold text-white">Race Complete</h2>
+            <h2 className="text-3xl font-bold text-white">
+              {season?.complete ? "Season Complete" : "Race Complete"}
+            </h2>
             <p className="mt-2 text-slate-200/80">
-              {gameRef.current?.race.mode === "championship"
-                ? "On to the next circuit."
-                : "Fancy a replay?"}
+              {season?.complete
+                ? "The championship has been decided."
+                : gameRef.current?.race.mode === "championship"
+                  ? "On to the next circuit."
+                  : "Fancy a replay?"}
             </p>
+            {gameRef.current?.ai?.length > 0 && (
+              <p className="mt-1 text-sm text-slate-200/60">
+                {gameRef.current.session.adaptive.enabled
+                  ? `Adaptive AI on (${gameRef.current.session.adaptive.label})`
+                  : "Adaptive AI off"}
+              </p>
+            )}
+
+            {season?.complete && (
+              <div className="mt-6 grid grid-cols-3 items-end gap-3 text-center">
+                {[1, 0, 2].map((rank) => {
+                  const driver = season.standings[rank];
+                  if (!driver) return <div key={rank} />;
+                  return (
+                    <div
+                      key={driver.name}
+                      className={`rounded-2xl border border-white/10 px-3 ${
+                        rank === 0
+                          ? "bg-amber-400/20 py-8"
+                          : rank === 1
+                            ? "bg-slate-300/10 py-6"
+                            : "bg-orange-700/20 py-4"
+                      }`}
+                    >
+                      <div className="text-xs uppercase tracking-widest text-cyan-200/70">
+                        P{rank + 1}
+                      </div>
+                      <div className="text-lg font-semibold">{driver.name}</div>
+                      <div className="text-sm text-slate-200/70">
+                        {driver.points} pts
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
 
             <div className="mt-6 space-y-3">
-              {gameRef.current?.leaderboard?.map(({ car }, idx) => (
+              {raceResults.map((result, idx) => (
                 <div
-                  key={car.name}
+                  key={result.name}
                   className={`flex items-center justify-between rounded-xl border border-white/10 px-4 py-2 ${
                     idx === 0 ? "bg-amber-400/20" : "bg-white/5"
                   }`}
                 >
                   <div className="text-lg font-semibold">
-                    #{idx + 1} {car.name}
+                    #{idx + 1} {result.name}
+                    {result.personality && (
+                      <span className="ml-2 text-xs font-normal uppercase tracking-widest text-cyan-200/60">
+                        {result.personality}
+                      </span>
+                    )}
                   </div>
                   <div className="text-sm text-slate-200/70">
-                    Best {formatTime(car.bestLap)}
+                    Best {formatTime(result.bestLap)} · Ideal {formatTime(result.idealLap)}
+                    {result.penalty > 0 && ` · +${result.penalty}s pen`}
+                    {result.pitStops > 0 &&
+                      ` · ${result.pitStops} ${result.pitStops === 1 ? "stop" : "stops"}`}
                   </div>
                 </div>
               ))}
             </div>
 
+            {season && (
+              <div className="mt-6">
+                <h3 className="text-sm uppercase tracking-widest text-cyan-200/70">
+                  Standings after round {season.round}/{season.rounds}
+                </h3>
+                <div className="mt-2 space-y-1">
+                  {season.standings.map((driver, idx) => (
+                    <div
+                      key={driver.name}
+                      className={`flex items-center justify-between rounded-lg px-3 py-1 text-sm ${
+                        driver.isPlayer ? "bg-cyan-500/10" : "bg-white/5"
+                      }`}
+                    >
+                      <div>
+                        {idx + 1}. {driver.name}
+                      </div>
+                      <div className="text-slate-200/70">
+                        {driver.points} pts · {driver.wins} W · Best{" "}
+                        {formatTime(driver.bestLap)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="mt-8 flex flex-wrap justify-end gap-4">
               {replayReady && (
                 <button
-                  onClick={startReplay}
+                  onClick={() => startReplay()}
                   className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
                 >
                   Watch Replay
                 </button>
               )}
+              {replayReady && (
+                <button
+                  onClick={saveReplay}
+                  className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+                >
+                  Save Replay
+                </button>
+              )}
+              {replayReady && (
+                <button
+                  onClick={saveInputReplay}
+                  className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+                >
+                  Save Inputs
+                </button>
+              )}
+              {season?.complete ? (
+                <button
+                  onClick={startChampionship}
+                  className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+                >
+                  New Season
+                </button>
+              ) : (
+                <button
+                  onClick={() => {
+                    const nextStage = championshipStage + 1;
+                    setChampionshipStage(nextStage);
+                    prepareRace({ stageIndex: nextStage });
+                  }}
+                  className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+                >
+                  Next Race
+                </button>
+              )}
               <button
-                onClick={() => {
-                  setChampionshipStage((prev) => prev + 1);
-                  prepareRace({ stageIndex: championshipStage + 1 });
-                }}
+                onClick={restartFromMenu}
+                className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+              >
+                Back to Menu
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {paused && (
+        <div className="absolute inset-0 z-20 grid place-content-center bg-black/70 px-6 py-10">
+          <div className="w-full max-w-sm rounded-3xl border border-white/15 bg-slate-900/90 p-8 text-center shadow-2xl backdrop-blur">
+            <h2 className="text-3xl font-bold text-white">Paused</h2>
+            <div className="mt-6 flex flex-col gap-3">
+              <button
+                onClick={() => setPausedState(false)}
+                className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
+              >
+                Resume
+              </button>
+              <button
+                onClick={restartRace}
+                className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+              >
+                Restart Race
+              </button>
+              <button
+                onClick={() => setShowControls(true)}
                 className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
               >
-                Next Race
+                Settings
               </button>
               <button
                 onClick={restartFromMenu}
                 className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
               >
-                Back to Menu
+                Quit to Menu
               </button>
             </div>
           </div>
         </div>
       )}
 
-      {phase === "replay" && (
-        <div className="absolute inset-x-0 bottom-6 z-20 mx-auto flex w-fit items-center gap-6 rounded-full border border-white/10 bg-black/60 px-6 py-3 text-sm uppercase tracking-widest text-white/80">
-          <span>Replay Mode Active</span>
+      {phase === "editor" && (
+        <TrackEditor
+          tracks={customTracks}
+          onPreview={previewTrack}
+          onSave={saveTrack}
+          onDelete={removeTrack}
+          onExport={exportTrackFile}
+          onClose={closeEditor}
+        />
+      )}
+
+      {showTuning && (
+        <TuningPanel
+          trackId={selectedTrackId}
+          trackName={findTrackConfig(selectedTrackId, customTracks)?.name}
+          presetKey={presetKey}
+          upgradeKey={upgradeKey}
+          tuning={tuning}
+          onChange={(changes) =>
+            setTuning((prev) => {
+              const limits = getTuningLimits(presetKey, VEHICLE_PRESETS[presetKey]);
+              return sanitizeTuning({ ...(prev ?? createDefaultTuning(limits)), ...changes }, limits);
+            })
+          }
+          onReset={() => setTuning(null)}
+          onLoad={(setup) => {
+            const preset = VEHICLE_PRESETS[setup.preset] ? setup.preset : presetKey;
+            if (preset !== presetKey) {
+              setPresetKey(preset);
+              setColor(VEHICLE_PRESETS[preset].colorOptions?.[0] ?? "#ffffff");
+            }
+            setUpgradeKey(
+              VEHICLE_PRESETS[preset].upgrades[setup.upgrade]
+                ? setup.upgrade
+                : Object.keys(VEHICLE_PRESETS[preset].upgrades)[0],
+            );
+            setTuning(sanitizeTuning(setup.tuning, getTuningLimits(preset, VEHICLE_PRESETS[preset])));
+          }}
+          onClose={() => setShowTuning(false)}
+        />
+      )}
+
+      {showRaceSettings && (
+        <RaceSettingsPanel
+          mode={mode}
+          settings={raceSettings}
+          presets={racePresets}
+          onChange={(changes) =>
+            setRaceSettings((prev) => sanitizeRaceSettings({ ...prev, ...changes }))
+          }
+          onPresetsChange={updateRacePresets}
+          onClose={() => setShowRaceSettings(false)}
+        />
+      )}
+
+      {showControls && (
+        <ControlsPanel
+          settings={controlSettings}
+          onChange={updateControlSettings}
+          onClose={() => setShowControls(false)}
+        />
+      )}
+
+      {phase === "replay" && photoMode && (
+        <div className="absolute right-6 top-6 z-20 flex items-center gap-2 text-xs uppercase tracking-widest">
+          {photoError && <span className="text-rose-300">{photoError}</span>}
           <button
-            onClick={toggleReplayCamera}
-            className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            onClick={capturePhoto}
+            className="rounded-full border border-white/30 bg-black/60 px-4 py-2 font-semibold text-cyan-100 hover:border-cyan-400"
           >
-            Switch Camera
+            Capture PNG
           </button>
           <button
-            onClick={restartFromMenu}
-            className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            onClick={togglePhotoMode}
+            className="rounded-full border border-white/30 bg-black/60 px-4 py-2 font-semibold text-white/70 hover:border-white/60"
           >
-            Exit Replay
+            Exit Photo
           </button>
         </div>
       )}
+
+      {phase === "replay" && !photoMode && showClipPanel && (
+        <div className="absolute inset-x-0 bottom-44 z-20 mx-auto w-full max-w-3xl rounded-3xl border border-white/10 bg-black/70 px-6 py-4 text-xs uppercase tracking-widest text-white/80">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              Resolution
+              <select
+                value={clipSettings.resolution}
+                onChange={(e) =>
+                  setClipSettings((prev) => ({ ...prev, resolution: e.target.value }))
+                }
+                disabled={clipProgress !== null}
+                className="rounded-full border border-white/30 bg-slate-950/80 px-3 py-1 text-white focus:border-cyan-400 focus:outline-none"
+              >
+                {Object.keys(CLIP_RESOLUTIONS).map((key) => (
+                  <option key={key} value={key}>
+                    {key}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              FPS
+              <select
+                value={clipSettings.fps}
+                onChange={(e) =>
+                  setClipSettings((prev) => ({ ...prev, fps: Number(e.target.value) }))
+                }
+                disabled={clipProgress !== null}
+                className="rounded-full border border-white/30 bg-slate-950/80 px-3 py-1 text-white focus:border-cyan-400 focus:outline-none"
+              >
+                {CLIP_FRAME_RATES.map((fps) => (
+                  <option key={fps} value={fps}>
+                    {fps}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="flex items-center gap-1">
+              {CLIP_FORMATS.map((format) => (
+                <button
+                  key={format}
+                  onClick={() => setClipSettings((prev) => ({ ...prev, format }))}
+                  disabled={
+                    clipProgress !== null || (format === "webm" && !isWebmSupported())
+                  }
+                  className={`rounded-full border px-3 py-1 font-semibold disabled:opacity-40 ${
+                    clipSettings.format === format
+                      ? "border-cyan-400 text-cyan-100"
+                      : "border-white/20 text-white/60 hover:border-white/40"
+                  }`}
+                >
+                  {format}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="mt-3 flex items-center gap-3 normal-case">
+            <span className="w-12 uppercase">From</span>
+            <input
+              type="range"
+              min={0}
+              max={replayView.duration}
+              step={0.1}
+              value={clipSettings.from}
+              onChange={(e) => {
+                const from = Number(e.target.value);
+                setClipSettings((prev) => ({ ...prev, from, to: Math.max(prev.to, from) }));
+                updateReplay({ time: from });
+              }}
+              disabled={clipProgress !== null}
+              className="flex-1 accent-cyan-400"
+            />
+            <span className="w-20 text-right">{formatTime(clipSettings.from)}</span>
+          </div>
+          <div className="mt-2 flex items-center gap-3 normal-case">
+            <span className="w-12 uppercase">To</span>
+            <input
+              type="range"
+              min={0}
+              max={replayView.duration}
+              step={0.1}
+              value={clipSettings.to}
+              onChange={(e) => {
+                const to = Number(e.target.value);
+                setClipSettings((prev) => ({ ...prev, to, from: Math.min(prev.from, to) }));
+                updateReplay({ time: to });
+              }}
+              disabled={clipProgress !== null}
+              className="flex-1 accent-cyan-400"
+            />
+            <span className="w-20 text-right">{formatTime(clipSettings.to)}</span>
+          </div>
+          <div className="mt-3 flex items-center justify-between gap-3">
+            <span className="normal-case text-slate-200/70">
+              {clipProgress !== null
+                ? `Rendering ${Math.round(clipProgress * 100)}%`
+                : clipError || `${(clipSettings.to - clipSettings.from).toFixed(1)}s clip`}
+            </span>
+            <div className="flex gap-2">
+              {clipProgress !== null ? (
+                <button
+                  onClick={() => gameRef.current?.exporter?.cancel()}
+                  className="rounded-full border border-white/30 px-4 py-2 font-semibold text-white/70 hover:border-white/60"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <button
+                  onClick={exportClip}
+                  className="rounded-full bg-cyan-400 px-4 py-2 font-semibold text-slate-950 hover:bg-cyan-300"
+                >
+                  Export
+                </button>
+              )}
+              <button
+                onClick={() => setShowClipPanel(false)}
+                disabled={clipProgress !== null}
+                className="rounded-full border border-white/30 px-4 py-2 font-semibold text-white/70 hover:border-white/60 disabled:opacity-40"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {phase === "replay" && !photoMode && (
+        <div className="absolute inset-x-0 bottom-6 z-20 mx-auto w-full max-w-3xl rounded-3xl border border-white/10 bg-black/60 px-6 py-4 text-sm uppercase tracking-widest text-white/80">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => updateReplay({ playing: !replayView.playing })}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              {replayView.playing ? "Pause" : "Play"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={replayView.duration}
+              step={0.01}
+              value={replayView.time}
+              onChange={(e) => updateReplay({ time: Number(e.target.value) })}
+              className="flex-1 accent-cyan-400"
+            />
+            <span className="w-32 text-right text-xs normal-case text-slate-200/80">
+              {formatTime(replayView.time)} / {formatTime(replayView.duration)}
+            </span>
+          </div>
+          <div className="mt-3 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-1">
+              {REPLAY_SPEEDS.map((speed) => (
+                <button
+                  key={speed}
+                  onClick={() => updateReplay({ speed })}
+                  className={`rounded-full border px-3 py-1 text-xs font-semibold ${
+                    replayView.speed === speed
+                      ? "border-cyan-400 text-cyan-100"
+                      : "border-white/20 text-white/60 hover:border-white/40"
+                  }`}
+                >
+                  {speed}x
+                </button>
+              ))}
+            </div>
+            <select
+              value={replayView.focus}
+              onChange={(e) => updateReplay({ focus: Number(e.target.value) })}
+              className="rounded-full border border-white/30 bg-slate-950/80 px-3 py-1 text-xs text-white focus:border-cyan-400 focus:outline-none"
+            >
+              {gameRef.current?.cars.map((car, idx) => (
+                <option key={car.name} value={idx}>
+                  {car.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={cycleReplayCamera}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              Camera: {replayView.camera}
+            </button>
+            <button
+              onClick={saveReplay}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              Save
+            </button>
+            <button
+              onClick={openClipPanel}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              Export Clip
+            </button>
+            <button
+              onClick={togglePhotoMode}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              Photo
+            </button>
+            <button
+              onClick={restartFromMenu}
+              className="rounded-full border border-white/30 px-4 py-2 text-xs font-semibold text-cyan-100 hover:border-cyan-400"
+            >
+              Exit Replay
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ControlsPanel({ settings, onChange, onClose }) {
+  const [capture, setCapture] = useState(null);
+  const [profileName, setProfileName] = useState("");
+  const keys = settings.profiles[settings.active];
+  const conflicts = findConflicts(keys);
+  const conflicted = new Set(
+    conflicts.flatMap(({ bindings }) =>
+      bindings.map(({ playerId, actionId }) => `${playerId}:${actionId}`),
+    ),
+  );
+  const actionLabel = (actionId) =>
+    CONTROL_ACTIONS.find(({ id }) => id === actionId)?.label ?? actionId;
+
+  useEffect(() => {
+    if (!capture) return;
+    function handleCapture(event) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      if (event.code !== "Escape") {
+        // The default profile stays as shipped; edits to it start a new one.
+        const name =
+          settings.active === DEFAULT_PROFILE_NAME
+            ? getUnusedProfileName(settings.profiles)
+            : settings.active;
+        onChange({
+          active: name,
+          profiles: {
+            ...settings.profiles,
+            [name]: rebindKey(keys, capture.playerId, capture.actionId, event.code),
+          },
+        });
+      }
+      setCapture(null);
+    }
+    window.addEventListener("keydown", handleCapture, { capture: true });
+    return () =>
+      window.removeEventListener("keydown", handleCapture, { capture: true });
+  }, [capture, keys, settings, onChange]);
+
+  function saveProfile() {
+    const name = profileName.trim();
+    if (!name || name === DEFAULT_PROFILE_NAME) return;
+    if (
+      name !== settings.active &&
+      settings.profiles[name] &&
+      !window.confirm(`Replace the "${name}" controls profile?`)
+    ) {
+      return;
+    }
+    onChange({
+      active: name,
+      profiles: { ...settings.profiles, [name]: cloneKeys(keys) },
+    });
+    setProfileName("");
+  }
+
+  function deleteProfile() {
+    if (settings.active === DEFAULT_PROFILE_NAME) return;
+    const profiles = { ...settings.profiles };
+    delete profiles[settings.active];
+    onChange({ active: DEFAULT_PROFILE_NAME, profiles });
+  }
+
+  return (
+    <div className="absolute inset-0 z-30 grid place-content-center bg-black/80 px-6 py-10">
+      <div className="w-full max-w-3xl rounded-3xl border border-white/15 bg-slate-900/90 p-8 shadow-2xl backdrop-blur">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-white">Controls</h2>
+          <button
+            onClick={onClose}
+            className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+          >
+            Done
+          </button>
+        </div>
+
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <select
+            value={settings.active}
+            onChange={(e) => onChange({ ...settings, active: e.target.value })}
+            className="rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-white focus:border-cyan-400 focus:outline-none"
+          >
+            {Object.keys(settings.profiles).map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <input
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Profile name"
+            className="rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-white focus:border-cyan-400 focus:outline-none"
+          />
+          <button
+            onClick={saveProfile}
+            className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-3 py-2 text-xs font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
+          >
+            Save Profile
+          </button>
+          {settings.active !== DEFAULT_PROFILE_NAME && (
+            <button
+              onClick={deleteProfile}
+              className="rounded-xl border border-rose-400/60 bg-rose-500/10 px-3 py-2 text-xs font-semibold uppercase tracking-widest text-rose-200 transition hover:bg-rose-500/20"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+
+        <div className="mt-6 grid gap-6 md:grid-cols-2">
+          {Object.entries(keys).map(([playerId, bindings], idx) => (
+            <div key={playerId}>
+              <h3 className="text-sm uppercase tracking-widest text-cyan-200/70">
+                Player {idx + 1}
+              </h3>
+              <div className="mt-2 space-y-2">
+                {CONTROL_ACTIONS.map(({ id, label }) => {
+                  const listening =
+                    capture?.playerId === playerId && capture?.actionId === id;
+                  return (
+                    <div key={id} className="flex items-center justify-between gap-3">
+                      <span className="text-sm text-slate-200/80">{label}</span>
+                      <button
+                        onClick={() => setCapture({ playerId, actionId: id })}
+                        className={`min-w-28 rounded-lg border px-3 py-1 text-sm font-semibold transition ${
+                          listening
+                            ? "border-cyan-400 bg-cyan-500/20 text-cyan-100"
+                            : conflicted.has(`${playerId}:${id}`)
+                              ? "border-rose-400 bg-rose-500/20 text-rose-100"
+                              : "border-white/20 bg-white/5 text-white hover:bg-white/10"
+                        }`}
+                      >
+                        {listening ? "Press a key..." : formatKey(bindings[id])}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {conflicts.length > 0 && (
+          <div className="mt-6 space-y-1 rounded-xl border border-rose-400/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-100">
+            {conflicts.map(({ code, bindings }) => (
+              <div key={code}>
+                {formatKey(code)} is bound to{" "}
+                {bindings
+                  .map(
+                    ({ playerId, actionId }) =>
+                      `${playerId.replace("player", "Player ")} ${actionLabel(actionId)}`,
+                  )
+                  .join(" and ")}
+                .
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-between text-xs text-slate-200/60">
+          <span>
+            Click an action, then press the new key; an action already on that key swaps to
+            the old one. Escape cancels.
+          </span>
+          <button
+            onClick={() =>
+              onChange({
+                ...settings,
+                profiles: { ...settings.profiles, [settings.active]: cloneKeys(DEFAULT_KEYS) },
+              })
+            }
+            disabled={settings.active === DEFAULT_PROFILE_NAME}
+            className="text-cyan-200 underline-offset-2 hover:underline disabled:text-slate-500 disabled:no-underline"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const EDITOR_SIZE = 480;
+const EDITOR_SCALE = 1.2;
+const EDITOR_LIMIT = EDITOR_SIZE / 2 / EDITOR_SCALE - 10;
+
+function TrackEditor({ tracks, onPreview, onSave, onDelete, onExport, onClose }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [layout, setLayout] = useState(createDefaultLayout);
+  const [selected, setSelected] = useState(0);
+  const [status, setStatus] = useState("");
+  const validation = useMemo(() => validateLayout(layout), [layout]);
+  const point = layout.points[selected];
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    const project = ({ x, z }) => [
+      EDITOR_SIZE / 2 + x * EDITOR_SCALE,
+      EDITOR_SIZE / 2 + z * EDITOR_SCALE,
+    ];
+    ctx.fillStyle = "#02040c";
+    ctx.fillRect(0, 0, EDITOR_SIZE, EDITOR_SIZE);
+    ctx.strokeStyle = "rgba(255,255,255,0.05)";
+    ctx.lineWidth = 1;
+    for (let line = 0; line <= EDITOR_SIZE; line += 24) {
+      ctx.beginPath();
+      ctx.moveTo(line, 0);
+      ctx.lineTo(line, EDITOR_SIZE);
+      ctx.moveTo(0, line);
+      ctx.lineTo(EDITOR_SIZE, line);
+      ctx.stroke();
+    }
+
+    if (layout.points.length >= MIN_CONTROL_POINTS) {
+      const samples = createTrackCurve(layout.points).getSpacedPoints(200);
+      const trace = () => {
+        ctx.beginPath();
+        samples.forEach((sample, idx) => {
+          const [x, y] = project(sample);
+          if (idx === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+      };
+      ctx.lineJoin = "round";
+      ctx.strokeStyle = "#1f2a44";
+      ctx.lineWidth = layout.roadWidth * EDITOR_SCALE;
+      trace();
+      ctx.strokeStyle = validation.valid ? "#3b9dff" : "#ff5a5f";
+      ctx.lineWidth = 2;
+      trace();
+    }
+
+    layout.points.forEach((controlPoint, idx) => {
+      const [x, y] = project(controlPoint);
+      ctx.fillStyle = idx === selected ? "#37ff8b" : idx === 0 ? "#ffffff" : "#4ee1ff";
+      ctx.beginPath();
+      ctx.arc(x, y, idx === selected ? 7 : 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "rgba(255,255,255,0.7)";
+      ctx.font = "10px sans-serif";
+      ctx.fillText(String(idx + 1), x + 8, y - 8);
+    });
+  }, [layout, selected, validation.valid]);
+
+  function toWorld(event) {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const scale = EDITOR_SIZE / rect.width;
+    const clamp = (value) => THREE.MathUtils.clamp(value, -EDITOR_LIMIT, EDITOR_LIMIT);
+    return {
+      x: clamp(((event.clientX - rect.left) * scale - EDITOR_SIZE / 2) / EDITOR_SCALE),
+      z: clamp(((event.clientY - rect.top) * scale - EDITOR_SIZE / 2) / EDITOR_SCALE),
+    };
+  }
+
+  function updateLayout(changes) {
+    setLayout((prev) => ({ ...prev, ...changes }));
+    setStatus("");
+  }
+
+  function updatePoint(index, changes) {
+    setLayout((prev) => ({
+      ...prev,
+      points: prev.points.map((item, idx) => (idx === index ? { ...item, ...changes } : item)),
+    }));
+    setStatus("");
+  }
+
+  function handlePointerDown(event) {
+    const { x, z } = toWorld(event);
+    const hit = layout.points.findIndex(
+      (item) => Math.hypot(item.x - x, item.z - z) * EDITOR_SCALE < 10,
+    );
+    if (hit === -1) return;
+    setSelected(hit);
+    dragRef.current = hit;
+    event.currentTarget.setPointerCapture(event.pointerId);
+  }
+
+  function handlePointerMove(event) {
+    if (dragRef.current === null) return;
+    updatePoint(dragRef.current, toWorld(event));
+  }
+
+  function handleDoubleClick(event) {
+    const target = toWorld(event);
+    const { points } = layout;
+    let insertAt = points.length;
+    let bestDistance = Infinity;
+    points.forEach((start, idx) => {
+      const end = points[(idx + 1) % points.length];
+      const dx = end.x - start.x;
+      const dz = end.z - start.z;
+      const t = THREE.MathUtils.clamp(
+        ((target.x - start.x) * dx + (target.z - start.z) * dz) / (dx * dx + dz * dz || 1),
+        0,
+        1,
+      );
+      const distance = Math.hypot(start.x + dx * t - target.x, start.z + dz * t - target.z);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        insertAt = idx + 1;
+      }
+    });
+    const elevation = points[insertAt - 1]?.elevation ?? 0;
+    const nextPoints = [...points];
+    nextPoints.splice(insertAt, 0, { ...target, elevation });
+    updateLayout({ points: nextPoints });
+    setSelected(insertAt);
+  }
+
+  function removeSelected() {
+    if (layout.points.length <= MIN_CONTROL_POINTS) return;
+    updateLayout({ points: layout.points.filter((_, idx) => idx !== selected) });
+    setSelected(Math.max(0, selected - 1));
+  }
+
+  function save() {
+    if (!validation.valid) return;
+    const config = layoutToConfig(layout);
+    onSave(config);
+    setLayout((prev) => ({ ...prev, id: config.id }));
+    setStatus(`Saved "${config.name}".`);
+  }
+
+  function edit(config) {
+    setLayout(configToLayout(config));
+    setSelected(0);
+    setStatus("");
+  }
+
+  return (
+    <div className="absolute bottom-4 left-4 top-4 z-30 w-full max-w-xl overflow-y-auto rounded-3xl border border-white/15 bg-slate-900/90 p-6 shadow-2xl backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-white">Track Editor</h2>
+        <button
+          onClick={onClose}
+          className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+        >
+          Back
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-slate-200/60">
+        Drag points to shape the circuit, double-click the map to add one. Point 1 is the
+        start line.
+      </p>
+
+      <canvas
+        ref={canvasRef}
+        width={EDITOR_SIZE}
+        height={EDITOR_SIZE}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => {
+          dragRef.current = null;
+        }}
+        onDoubleClick={handleDoubleClick}
+        className="mt-4 w-full cursor-crosshair touch-none rounded-xl border border-white/20"
+      />
+
+      <div className="mt-4 grid gap-4 md:grid-cols-2">
+        <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+          Name
+          <input
+            value={layout.name}
+            onChange={(e) => updateLayout({ name: e.target.value })}
+            className="mt-1 w-full rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-sm normal-case tracking-normal text-white focus:border-cyan-400 focus:outline-none"
+          />
+        </label>
+        <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+          Weather
+          <select
+            value={layout.weather}
+            onChange={(e) => updateLayout({ weather: e.target.value })}
+            className="mt-1 w-full rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-sm normal-case tracking-normal text-white focus:border-cyan-400 focus:outline-none"
+          >
+            {WEATHER_OPTIONS.map((weather) => (
+              <option key={weather.particle} value={weather.particle}>
+                {weather.particle}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+          Road width {layout.roadWidth}m
+          <input
+            type="range"
+            min={ROAD_WIDTH_RANGE[0]}
+            max={ROAD_WIDTH_RANGE[1]}
+            value={layout.roadWidth}
+            onChange={(e) => updateLayout({ roadWidth: Number(e.target.value) })}
+            className="mt-2 w-full accent-cyan-400"
+          />
+        </label>
+        <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+          Banking {layout.banking}°
+          <input
+            type="range"
+            min={BANKING_RANGE[0]}
+            max={BANKING_RANGE[1]}
+            value={layout.banking}
+            onChange={(e) => updateLayout({ banking: Number(e.target.value) })}
+            className="mt-2 w-full accent-cyan-400"
+          />
+        </label>
+        {point && (
+          <label className="text-sm uppercase tracking-widest text-cyan-200/70">
+            Point {selected + 1} elevation {point.elevation}m
+            <input
+              type="range"
+              min={ELEVATION_RANGE[0]}
+              max={ELEVATION_RANGE[1]}
+              value={point.elevation}
+              onChange={(e) => updatePoint(selected, { elevation: Number(e.target.value) })}
+              className="mt-2 w-full accent-cyan-400"
+            />
+          </label>
+        )}
+        <div className="flex items-end">
+          <button
+            onClick={removeSelected}
+            disabled={layout.points.length <= MIN_CONTROL_POINTS}
+            className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold text-white/70 transition hover:bg-white/10 disabled:opacity-40"
+          >
+            Remove point {selected + 1}
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 rounded-xl border border-white/10 bg-black/30 px-4 py-3 text-sm">
+        <div className="text-slate-200/70">
+          Length {Math.round(validation.length)}m · Tightest corner{" "}
+          {Number.isFinite(validation.minRadius) ? `${Math.round(validation.minRadius)}m` : "-"}
+        </div>
+        {validation.errors.map((error) => (
+          <div key={error} className="mt-1 text-rose-200">
+            {error}
+          </div>
+        ))}
+        {status && <div className="mt-1 text-emerald-200">{status}</div>}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-3">
+        <button
+          onClick={() => onPreview(layoutToConfig(layout))}
+          disabled={layout.points.length < MIN_CONTROL_POINTS}
+          className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15 disabled:opacity-40"
+        >
+          Preview 3D
+        </button>
+        <button
+          onClick={save}
+          disabled={!validation.valid}
+          className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30 disabled:opacity-40"
+        >
+          Save Track
+        </button>
+        <button
+          onClick={() => {
+            setLayout(createDefaultLayout());
+            setSelected(0);
+            setStatus("");
+          }}
+          className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white/70 transition hover:bg-white/10"
+        >
+          New
+        </button>
+      </div>
+
+      <div className="mt-6">
+        <div className="text-sm uppercase tracking-widest text-cyan-200/70">Built-in</div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {TRACK_LIBRARY.map((config) => (
+            <button
+              key={config.id ?? config.name}
+              onClick={() => onPreview(config)}
+              className="rounded-xl border border-white/10 bg-white/5 px-3 py-1 text-sm text-white/70 hover:bg-white/10"
+            >
+              {config.name}
+            </button>
+          ))}
+        </div>
+        <div className="mt-4 text-sm uppercase tracking-widest text-cyan-200/70">Custom</div>
+        {tracks.length === 0 && (
+          <div className="mt-2 text-sm text-slate-200/50">No custom circuits saved yet.</div>
+        )}
+        {tracks.map((config) => (
+          <div
+            key={config.id}
+            className={`mt-2 flex items-center justify-between rounded-xl border px-3 py-2 text-sm ${
+              layout.id === config.id ? "border-cyan-400/60 bg-cyan-500/10" : "border-white/10 bg-white/5"
+            }`}
+          >
+            <span className="text-white">{config.name}</span>
+            <div className="flex gap-2">
+              <button onClick={() => edit(config)} className="text-cyan-200 hover:underline">
+                Edit
+              </button>
+              <button onClick={() => onPreview(config)} className="text-cyan-200 hover:underline">
+                Preview
+              </button>
+              <button onClick={() => onExport(config)} className="text-cyan-200 hover:underline">
+                Export
+              </button>
+              <button
+                onClick={() => {
+                  onDelete(config.id);
+                  if (layout.id === config.id) updateLayout({ id: null });
+                }}
+                className="text-rose-300 hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TrackThumbnail({ curve }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    const { width, height } = ctx.canvas;
+    const points = curve.getSpacedPoints(120);
+    const xs = points.map((point) => point.x);
+    const zs = points.map((point) => point.z);
+    const minX = Math.min(...xs);
+    const minZ = Math.min(...zs);
+    const scale = Math.min(
+      (width - 16) / (Math.max(...xs) - minX || 1),
+      (height - 16) / (Math.max(...zs) - minZ || 1),
+    );
+    const offsetX = (width - (Math.max(...xs) - minX) * scale) / 2;
+    const offsetY = (height - (Math.max(...zs) - minZ) * scale) / 2;
+    const project = (point) => [
+      offsetX + (point.x - minX) * scale,
+      offsetY + (point.z - minZ) * scale,
+    ];
+    ctx.fillStyle = "#02040c";
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = "#3b9dff";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    points.forEach((point, idx) => {
+      const [x, y] = project(point);
+      if (idx === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+    const [startX, startY] = project(points[0]);
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.arc(startX, startY, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }, [curve]);
+
+  return <canvas ref={canvasRef} width={200} height={120} className="w-full rounded-xl" />;
+}
+
+function RaceSettingsPanel({ mode, settings, presets, onChange, onPresetsChange, onClose }) {
+  const [presetName, setPresetName] = useState("");
+  const optionClass = (active) =>
+    `rounded-xl border px-3 py-1.5 text-sm font-semibold transition ${
+      active
+        ? "border-cyan-400 bg-cyan-500/20 text-cyan-100"
+        : "border-white/20 bg-white/5 text-white/70 hover:bg-white/10"
+    }`;
+  const labelClass = "text-sm uppercase tracking-widest text-cyan-200/70";
+
+  function savePreset() {
+    const name = presetName.trim();
+    if (!name) return;
+    onPresetsChange({ ...presets, [name]: settings });
+    setPresetName("");
+  }
+
+  function deletePreset(name) {
+    const next = { ...presets };
+    delete next[name];
+    onPresetsChange(next);
+  }
+
+  const sliders = [
+    { key: "laps", label: "Laps", value: settings.laps },
+    { key: "aiCount", label: "AI opponents", value: settings.aiCount },
+    {
+      key: "eliminationInterval",
+      label: "Elimination every",
+      value: settings.eliminationInterval,
+      suffix: "s",
+      disabled: mode !== "elimination",
+    },
+  ];
+
+  return (
+    <div className="absolute inset-0 z-30 grid place-content-center bg-black/80 px-6 py-10">
+      <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-3xl border border-white/15 bg-slate-900/90 p-8 shadow-2xl backdrop-blur">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-white">Race Settings</h2>
+          <button
+            onClick={onClose}
+            className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+          >
+            Done
+          </button>
+        </div>
+
+        <div className="mt-6 grid gap-5 md:grid-cols-3">
+          {sliders.map(({ key, label, value, suffix = "", disabled }) => (
+            <label key={key} className={`${labelClass} ${disabled ? "opacity-40" : ""}`}>
+              {label} {value}
+              {suffix}
+              <input
+                type="range"
+                min={SETTING_LIMITS[key][0]}
+                max={SETTING_LIMITS[key][1]}
+                value={value}
+                disabled={disabled}
+                onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+                className="mt-2 w-full accent-cyan-400"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className={`mt-6 ${mode !== "championship" ? "opacity-40" : ""}`}>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className={labelClass}>Championship points</span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => onChange({ points: settings.points.slice(0, -1) })}
+                disabled={mode !== "championship" || settings.points.length <= 1}
+                className={optionClass(false)}
+              >
+                −
+              </button>
+              <button
+                onClick={() => onChange({ points: [...settings.points, 0] })}
+                disabled={
+                  mode !== "championship" || settings.points.length >= MAX_SCORING_POSITIONS
+                }
+                className={optionClass(false)}
+              >
+                +
+              </button>
+              <button
+                onClick={() => onChange({ points: DEFAULT_POINTS })}
+                disabled={mode !== "championship"}
+                className={optionClass(false)}
+              >
+                Default
+              </button>
+            </div>
+          </div>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {settings.points.map((value, idx) => (
+              <label key={idx} className="flex flex-col items-center text-xs text-slate-200/70">
+                P{idx + 1}
+                <input
+                  type="number"
+                  min={SETTING_LIMITS.points[0]}
+                  max={SETTING_LIMITS.points[1]}
+                  value={value}
+                  disabled={mode !== "championship"}
+                  onChange={(e) =>
+                    onChange({
+                      points: settings.points.map((item, itemIdx) =>
+                        itemIdx === idx ? Number(e.target.value) : item,
+                      ),
+                    })
+                  }
+                  className="mt-1 w-14 rounded-lg border border-white/20 bg-slate-950/80 px-2 py-1 text-center text-sm text-white focus:border-cyan-400 focus:outline-none"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="mt-6 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>AI difficulty</span>
+          {Object.entries(AI_DIFFICULTIES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ difficulty: key })}
+              className={optionClass(settings.difficulty === key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Adaptive AI</span>
+          {Object.entries(ADAPTIVE_STRENGTHS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ adaptiveAI: key })}
+              className={optionClass(settings.adaptiveAI === key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Boost</span>
+          {Object.entries(BOOST_RULES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ boost: key })}
+              className={optionClass(settings.boost === key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Contact</span>
+          <button
+            onClick={() => onChange({ collisions: !settings.collisions })}
+            className={optionClass(settings.collisions)}
+          >
+            Collisions {settings.collisions ? "on" : "off"}
+          </button>
+          <button
+            onClick={() => onChange({ damage: !settings.damage })}
+            className={optionClass(settings.damage)}
+          >
+            Damage {settings.damage ? "on" : "off"}
+          </button>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Strategy</span>
+          <button
+            onClick={() => onChange({ tyreWear: !settings.tyreWear })}
+            className={optionClass(settings.tyreWear)}
+          >
+            Tyre wear {settings.tyreWear ? "on" : "off"}
+          </button>
+          <button
+            onClick={() => onChange({ fuel: !settings.fuel })}
+            className={optionClass(settings.fuel)}
+          >
+            Fuel {settings.fuel ? "on" : "off"}
+          </button>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Weather</span>
+          {Object.entries(WEATHER_MODES).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ weatherMode: key })}
+              className={optionClass(settings.weatherMode === key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Start time</span>
+          <input
+            type="range"
+            min={0}
+            max={23.75}
+            step={0.25}
+            value={settings.startTime}
+            onChange={(e) => onChange({ startTime: Number(e.target.value) })}
+            className="w-40 accent-cyan-400"
+          />
+          <span className="w-12 text-sm text-white/80">{formatClock(settings.startTime)}</span>
+          <button
+            onClick={() => onChange({ startTime: NIGHT_RACE.start, timeSpeed: NIGHT_RACE.speed })}
+            className={optionClass(
+              settings.startTime === NIGHT_RACE.start && settings.timeSpeed === NIGHT_RACE.speed,
+            )}
+          >
+            Night Race
+          </button>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <span className={`${labelClass} w-32`}>Time speed</span>
+          {Object.entries(TIME_SPEEDS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => onChange({ timeSpeed: key })}
+              className={optionClass(settings.timeSpeed === key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-8 rounded-2xl border border-white/10 bg-white/5 p-4">
+          <div className={labelClass}>Presets</div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {Object.keys(presets).length === 0 && (
+              <span className="text-sm text-slate-200/50">No saved presets yet.</span>
+            )}
+            {Object.entries(presets).map(([name, preset]) => (
+              <div
+                key={name}
+                className="flex items-center gap-2 rounded-xl border border-white/10 bg-black/30 px-3 py-1.5 text-sm"
+              >
+                <button
+                  onClick={() => onChange(preset)}
+                  className="font-semibold text-cyan-100 hover:underline"
+                >
+                  {name}
+                </button>
+                <button onClick={() => deletePreset(name)} className="text-rose-300 hover:underline">
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-3 flex gap-2">
+            <input
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder="Preset name"
+              className="flex-1 rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-sm text-white focus:border-cyan-400 focus:outline-none"
+            />
+            <button
+              onClick={savePreset}
+              className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
+            >
+              Save Preset
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TuningPanel({
+  trackId,
+  trackName,
+  presetKey,
+  upgradeKey,
+  tuning: chosen,
+  onChange,
+  onReset,
+  onLoad,
+  onClose,
+}) {
+  const [setups, setSetups] = useState(() => loadTrackSetups(trackId));
+  const [setupName, setSetupName] = useState("");
+  const preset = VEHICLE_PRESETS[presetKey];
+  const limits = useMemo(() => getTuningLimits(presetKey, preset), [presetKey, preset]);
+  const tuning = useMemo(() => chosen ?? createDefaultTuning(limits), [chosen, limits]);
+  const stats = getTuningStats(tuning, limits);
+  const baseline = useMemo(() => getTuningStats(createDefaultTuning(limits), limits), [limits]);
+  const engine = useMemo(
+    () => getEngineSpec(presetKey, upgradeKey, preset),
+    [presetKey, upgradeKey, preset],
+  );
+  const gearSpeeds = getGearSpeeds(tuning, engine);
+  const curve = useMemo(() => getEngineCurve(engine), [engine]);
+  const labelClass = "text-sm uppercase tracking-widest text-cyan-200/70";
+
+  // Fixed axes so engines of different presets and upgrades compare directly.
+  const graph = { width: 320, height: 140, rpm: 10000, torque: 550, power: 450 };
+  const maxTorque = Math.max(...curve.map(({ torque }) => torque));
+  const maxPower = Math.max(...curve.map(({ power }) => power));
+  const plot = (key, max) =>
+    curve
+      .map(({ rpm, [key]: value }) => {
+        const x = (rpm / graph.rpm) * graph.width;
+        const y = graph.height - (value / max) * (graph.height - 10);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+  function saveSetup() {
+    const name = setupName.trim();
+    if (!name) return;
+    setSetups(saveTrackSetup(trackId, name, { preset: presetKey, upgrade: upgradeKey, tuning }));
+    setSetupName("");
+  }
+
+  const fields = Object.entries(TUNING_FIELDS).filter(([key]) => key !== "finalDrive");
+
+  return (
+    <div className="absolute inset-0 z-30 grid place-content-center bg-black/80 px-6 py-10">
+      <div className="max-h-[90vh] w-full max-w-4xl overflow-y-auto rounded-3xl border border-white/15 bg-slate-900/90 p-8 shadow-2xl backdrop-blur">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Tuning · {preset.label}</h2>
+            <p className="text-sm text-slate-200/60">
+              Setups are saved for {trackName ?? trackId}.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onReset}
+              className="rounded-xl border border-white/20 bg-white/5 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white/70 transition hover:bg-white/10"
+            >
+              Reset
+            </button>
+            <button
+              onClick={onClose}
+              className="rounded-xl border border-white/20 bg-white/10 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-white transition hover:bg-white/15"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-6 grid gap-8 md:grid-cols-2">
+          <div className="space-y-4">
+            <div className={labelClass}>Gearbox</div>
+            <label className={labelClass}>
+              {TUNING_FIELDS.finalDrive.label} {TUNING_FIELDS.finalDrive.format(tuning.finalDrive)}
+              <input
+                type="range"
+                min={limits.finalDrive[0]}
+                max={limits.finalDrive[1]}
+                step={TUNING_FIELDS.finalDrive.step}
+                value={tuning.finalDrive}
+                onChange={(e) => onChange({ finalDrive: Number(e.target.value) })}
+                className="mt-2 w-full accent-cyan-400"
+              />
+            </label>
+            {tuning.gears.map((ratio, idx) => {
+              const [min, max] = getGearLimits(limits, idx);
+              return (
+                <label key={idx} className="flex items-center gap-3 text-sm text-white/80">
+                  <span className="w-16">Gear {idx + 1}</span>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={0.01}
+                    value={ratio}
+                    onChange={(e) =>
+                      onChange({
+                        gears: tuning.gears.map((gear, gearIdx) =>
+                          gearIdx === idx ? Number(e.target.value) : gear,
+                        ),
+                      })
+                    }
+                    className="flex-1 accent-cyan-400"
+                  />
+                  <span className="w-12 text-right">{ratio.toFixed(2)}</span>
+                  <span className="w-20 text-right text-white/50">
+                    {Math.round(gearSpeeds[idx])} km/h
+                  </span>
+                </label>
+              );
+            })}
+
+            <div className={`${labelClass} pt-2`}>Chassis</div>
+            {fields.map(([key, { label, step, format }]) => (
+              <label key={key} className={labelClass}>
+                {label} {format(tuning[key])}
+                <input
+                  type="range"
+                  min={limits[key][0]}
+                  max={limits[key][1]}
+                  step={step}
+                  value={tuning[key]}
+                  onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+                  className="mt-2 w-full accent-cyan-400"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-6">
+            <div>
+              <div className={labelClass}>Performance</div>
+              <div className="mt-3 space-y-2">
+                {Object.entries(STAT_LABELS).map(([key, label]) => (
+                  <div key={key} className="flex items-center gap-3 text-sm text-white/80">
+                    <span className="w-28">{label}</span>
+                    <div className="relative h-2 flex-1 overflow-hidden rounded-full bg-white/10">
+                      <div
+                        className="h-full rounded-full bg-cyan-400 transition-all"
+                        style={{ width: `${stats[key] * 100}%` }}
+                      />
+                      <div
+                        className="absolute top-0 h-full w-0.5 bg-white/60"
+                        style={{ left: `${baseline[key] * 100}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <div className={labelClass}>Torque &amp; power</div>
+              <svg
+                viewBox={`0 0 ${graph.width} ${graph.height}`}
+                className="mt-3 w-full rounded-xl border border-white/10 bg-black/30"
+              >
+                {[2000, 4000, 6000, 8000].map((rpm) => (
+                  <line
+                    key={rpm}
+                    x1={(rpm / graph.rpm) * graph.width}
+                    x2={(rpm / graph.rpm) * graph.width}
+                    y1={0}
+                    y2={graph.height}
+                    stroke="rgba(255,255,255,0.08)"
+                  />
+                ))}
+                <polyline points={plot("torque", graph.torque)} fill="none" stroke="#22d3ee" strokeWidth="2" />
+                <polyline points={plot("power", graph.power)} fill="none" stroke="#f97316" strokeWidth="2" />
+              </svg>
+              <div className="mt-2 flex justify-between text-xs text-slate-200/60">
+                <span className="text-cyan-300">Torque {Math.round(maxTorque)} Nm</span>
+                <span className="text-orange-300">Power {Math.round(maxPower)} kW</span>
+                <span>Redline {engine.redline} rpm</span>
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div className={labelClass}>Saved setups</div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {Object.keys(setups).length === 0 && (
+                  <span className="text-sm text-slate-200/50">No setups saved for this track.</span>
+                )}
+                {Object.entries(setups).map(([name, setup]) => (
+                  <div
+                    key={name}
+                    className="flex items-center gap-2 rounded-xl border border-white/10 bg-black/30 px-3 py-1.5 text-sm"
+                  >
+                    <button
+                      onClick={() => onLoad(setup)}
+                      className="font-semibold text-cyan-100 hover:underline"
+                    >
+                      {name}
+                    </button>
+                    <span className="text-xs text-white/40">
+                      {VEHICLE_PRESETS[setup.preset]?.label ?? setup.preset}
+                    </span>
+                    <button
+                      onClick={() => setSetups(deleteTrackSetup(trackId, name))}
+                      className="text-rose-300 hover:underline"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 flex gap-2">
+                <input
+                  value={setupName}
+                  onChange={(e) => setSetupName(e.target.value)}
+                  placeholder="Setup name"
+                  className="flex-1 rounded-xl border border-white/20 bg-slate-950/80 px-3 py-2 text-sm text-white focus:border-cyan-400 focus:outline-none"
+                />
+                <button
+                  onClick={saveSetup}
+                  className="rounded-xl border border-cyan-400 bg-cyan-500/20 px-4 py-2 text-sm font-semibold uppercase tracking-widest text-cyan-100 transition hover:bg-cyan-400/30"
+                >
+                  Save Setup
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,92 @@
+import * as THREE from "three";
+import { createRng } from "./random";
+
+export const ADAPTIVE_STRENGTHS = {
+  off: { label: "Off", amount: 0 },
+  light: { label: "Light", amount: 0.35 },
+  medium: { label: "Medium", amount: 0.65 },
+  strong: { label: "Strong", amount: 1 },
+};
+
+// Gap to the nearest human (in metres) at which the full adjustment applies.
+const GAP_RANGE = 250;
+const RESPONSE_TIME = 3;
+const PACE_LIFT = 0.3;
+const BRAKE_SHIFT = 0.45;
+const CATCH_UP_BOOST = 0.6;
+const MISTAKE_RATE = 0.02;
+const MISTAKE_DURATION = [0.4, 1];
+const MISTAKE_STEER = [0.2, 0.5];
+
+export class AdaptiveDifficulty {
+  constructor({ strength = "off", trackLength, seed = 1 }) {
+    this.strength = ADAPTIVE_STRENGTHS[strength] ? strength : "off";
+    this.amount = ADAPTIVE_STRENGTHS[this.strength].amount;
+    this.trackLength = trackLength;
+    this.random = createRng(seed);
+    this.drivers = new Map();
+  }
+
+  get enabled() {
+    return this.amount > 0;
+  }
+
+  get label() {
+    return ADAPTIVE_STRENGTHS[this.strength].label;
+  }
+
+  getDriver(car) {
+    if (!this.drivers.has(car)) {
+      this.drivers.set(car, { factor: 0, mistake: 0, mistakeSteer: 0 });
+    }
+    return this.drivers.get(car);
+  }
+
+  update(leaderboard, isPlayer, dt) {
+    if (!this.enabled) return;
+    const distance = ({ lap, progress }) => (lap + progress) * this.trackLength;
+    const humans = leaderboard.filter(({ car }) => isPlayer(car) && !car.finished).map(distance);
+    const blend = Math.min(1, dt / RESPONSE_TIME);
+    leaderboard.forEach((item) => {
+      if (isPlayer(item.car)) return;
+      const driver = this.getDriver(item.car);
+      let target = 0;
+      if (humans.length) {
+        const own = distance(item);
+        const gap = humans
+          .map((human) => own - human)
+          .reduce((best, next) => (Math.abs(next) < Math.abs(best) ? next : best));
+        target = THREE.MathUtils.clamp(gap / GAP_RANGE, -1, 1) * this.amount;
+      }
+      driver.factor += (target - driver.factor) * blend;
+    });
+  }
+
+  adaptInput(input, car, dt) {
+    if (!this.enabled) return input;
+    const driver = this.getDriver(car);
+    const { factor } = driver;
+    const ahead = Math.max(0, factor);
+    const behind = Math.max(0, -factor);
+
+    let throttle = input.throttle * (1 - ahead * PACE_LIFT);
+    let brake = THREE.MathUtils.clamp(input.brake * (1 + factor * BRAKE_SHIFT), 0, 1);
+    let steer = input.steer;
+    const boost = input.boost || (behind > CATCH_UP_BOOST && throttle > 0.8 && brake === 0);
+
+    if (driver.mistake > 0) {
+      driver.mistake -= dt;
+      steer = THREE.MathUtils.clamp(steer + driver.mistakeSteer, -1, 1);
+      throttle *= 0.5;
+    } else if (car.speed > 10) {
+      const rate = MISTAKE_RATE * (1 + ahead * 4) * (1 - behind);
+      if (this.random() < rate * dt) {
+        driver.mistake = this.random.range(...MISTAKE_DURATION);
+        driver.mistakeSteer =
+          this.random.range(...MISTAKE_STEER) * (this.random() < 0.5 ? -1 : 1);
+      }
+    }
+
+    return { ...input, throttle, brake, steer, boost };
+  }
+}
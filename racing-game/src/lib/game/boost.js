@@ -0,0 +1,96 @@
+import * as THREE from "three";
+
+export const START_ENERGY = 0.5;
+
+const DRAIN_RATE = 0.22;
+const DRIFT_SPEED = 25;
+const DRIFT_SLIP = 2;
+const DRIFT_REGEN = 0.12;
+const SLIPSTREAM_RANGE = 25;
+const SLIPSTREAM_WIDTH = 2.5;
+const SLIPSTREAM_SPEED = 20;
+const SLIPSTREAM_REGEN = 0.08;
+const CLEAN_SECTOR_BONUS = 0.12;
+
+const forward = new THREE.Vector3();
+const delta = new THREE.Vector3();
+
+export class BoostSystem {
+  constructor({ rule = "standard" } = {}) {
+    this.rule = rule;
+    this.cars = new Map();
+  }
+
+  get enabled() {
+    return this.rule !== "off";
+  }
+
+  getState(car) {
+    if (!this.cars.has(car)) {
+      this.cars.set(car, {
+        energy: this.rule === "unlimited" ? 1 : START_ENERGY,
+        boosting: false,
+        clean: true,
+        drafting: false,
+        drifting: false,
+      });
+    }
+    return this.cars.get(car);
+  }
+
+  getEnergy(car) {
+    return this.getState(car).energy;
+  }
+
+  isBoosting(car) {
+    return this.cars.get(car)?.boosting ?? false;
+  }
+
+  consume(car, wanted, dt) {
+    const state = this.getState(car);
+    state.boosting = Boolean(wanted) && this.enabled && state.energy > 0;
+    if (state.boosting && this.rule !== "unlimited") {
+      state.energy = Math.max(0, state.energy - DRAIN_RATE * dt);
+    }
+    return state.boosting;
+  }
+
+  isDrafting(car, opponents) {
+    if (car.speed < SLIPSTREAM_SPEED) return false;
+    forward.copy(car.getForwardVector()).setY(0).normalize();
+    return opponents.some((other) => {
+      if (other === car) return false;
+      delta.copy(other.position).sub(car.position).setY(0);
+      const along = delta.dot(forward);
+      if (along <= 0 || along > SLIPSTREAM_RANGE) return false;
+      return Math.sqrt(Math.max(0, delta.lengthSq() - along * along)) < SLIPSTREAM_WIDTH;
+    });
+  }
+
+  update(cars, dt) {
+    if (this.rule !== "standard") return;
+    cars.forEach((car) => {
+      const state = this.getState(car);
+      const slip = Math.abs(car.velocity.dot(car.getSideVector()));
+      state.drifting = car.speed > DRIFT_SPEED && slip > DRIFT_SLIP;
+      state.drafting = this.isDrafting(car, cars);
+      let gain = 0;
+      if (state.drifting) gain += DRIFT_REGEN * Math.min(2, slip / DRIFT_SLIP);
+      if (state.drafting) gain += SLIPSTREAM_REGEN;
+      state.energy = Math.min(1, state.energy + gain * dt);
+    });
+  }
+
+  markIncident(car) {
+    this.getState(car).clean = false;
+  }
+
+  completeSector(car) {
+    const state = this.getState(car);
+    if (state.clean && this.rule === "standard") {
+      state.energy = Math.min(1, state.energy + CLEAN_SECTOR_BONUS);
+    }
+    state.clean = true;
+    return state.energy;
+  }
+}
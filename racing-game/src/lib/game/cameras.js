@@ -0,0 +1,37 @@
+import * as THREE from "three";
+import { getRoadHalfWidth } from "./checkpoints";
+
+export const REPLAY_CAMERA_MODES = ["chase", "orbit", "trackside", "flyover"];
+
+export function createTracksideCameras(track, count = 10) {
+  const halfWidth = getRoadHalfWidth(track);
+  const up = new THREE.Vector3(0, 1, 0);
+  return Array.from({ length: count }, (_, index) => {
+    const progress = index / count;
+    const point = track.curve.getPointAt(progress);
+    const tangent = track.curve.getTangentAt(progress);
+    const side = new THREE.Vector3().crossVectors(tangent, up).normalize();
+    const flip = index % 2 === 0 ? 1 : -1;
+    return {
+      progress,
+      position: point
+        .clone()
+        .addScaledVector(side, flip * (halfWidth + 10))
+        .add(new THREE.Vector3(0, 5 + (index % 3) * 2, 0)),
+    };
+  });
+}
+
+export function pickTracksideCamera(cameras, progress) {
+  let best = cameras[0];
+  let bestGap = Infinity;
+  cameras.forEach((camera) => {
+    const gap = (progress - camera.progress + 1) % 1;
+    const distance = Math.min(gap, 1 - gap);
+    if (distance < bestGap) {
+      bestGap = distance;
+      best = camera;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,123 @@
+import * as THREE from "three";
+
+const LAMP_GEOMETRY = new THREE.BoxGeometry(0.4, 0.18, 0.08);
+const HEADLIGHT_COLOR = "#fff4d6";
+const TAILLIGHT_COLOR = "#ff2424";
+const TAIL_IDLE = 0.15;
+const TAIL_ON = 1.2;
+const TAIL_BRAKING = 4;
+
+function measureLocalBox(mesh) {
+  const { position, quaternion } = mesh;
+  const savedPosition = position.clone();
+  const savedQuaternion = quaternion.clone();
+  position.set(0, 0, 0);
+  quaternion.identity();
+  mesh.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(mesh);
+  position.copy(savedPosition);
+  quaternion.copy(savedQuaternion);
+  mesh.updateMatrixWorld(true);
+  return box;
+}
+
+function createLamp(color) {
+  return new THREE.Mesh(
+    LAMP_GEOMETRY,
+    new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0 }),
+  );
+}
+
+export class CarLights {
+  constructor(car, { beams = true } = {}) {
+    this.car = car;
+    this.group = new THREE.Group();
+    this.enabled = false;
+    this.braking = false;
+
+    const { mesh } = car;
+    const forward = car
+      .getForwardVector()
+      .clone()
+      .setY(0)
+      .normalize()
+      .applyQuaternion(mesh.quaternion.clone().invert());
+    const side = new THREE.Vector3(0, 1, 0).cross(forward).normalize();
+    const box = measureLocalBox(mesh);
+    const size = box.getSize(new THREE.Vector3());
+    const centre = box.getCenter(new THREE.Vector3());
+    const halfLength = Math.abs(forward.dot(size)) / 2 || 2;
+    const halfWidth = Math.abs(side.dot(size)) / 2 || 1;
+    const height = box.min.y + size.y * 0.4;
+
+    const place = (along, across) =>
+      centre
+        .clone()
+        .setY(height)
+        .addScaledVector(forward, along)
+        .addScaledVector(side, across);
+
+    this.headlamps = [-1, 1].map((flip) => {
+      const lamp = createLamp(HEADLIGHT_COLOR);
+      lamp.position.copy(place(halfLength, flip * halfWidth * 0.65));
+      lamp.lookAt(lamp.position.clone().add(forward));
+      this.group.add(lamp);
+      return lamp;
+    });
+    this.taillamps = [-1, 1].map((flip) => {
+      const lamp = createLamp(TAILLIGHT_COLOR);
+      lamp.position.copy(place(-halfLength, flip * halfWidth * 0.65));
+      lamp.lookAt(lamp.position.clone().sub(forward));
+      this.group.add(lamp);
+      return lamp;
+    });
+
+    this.beams = beams
+      ? this.headlamps.map((lamp) => {
+          const beam = new THREE.SpotLight(HEADLIGHT_COLOR, 0, 70, 0.45, 0.5, 1);
+          beam.position.copy(lamp.position);
+          beam.target.position.copy(lamp.position.clone().addScaledVector(forward, 12).setY(0));
+          this.group.add(beam, beam.target);
+          return beam;
+        })
+      : [];
+
+    mesh.add(this.group);
+    this.refresh();
+  }
+
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    this.enabled = enabled;
+    this.refresh();
+  }
+
+  setBraking(braking) {
+    if (this.braking === braking) return;
+    this.braking = braking;
+    this.refresh();
+  }
+
+  refresh() {
+    this.headlamps.forEach((lamp) => {
+      lamp.material.emissiveIntensity = this.enabled ? 2.5 : 0;
+    });
+    this.taillamps.forEach((lamp) => {
+      lamp.material.emissiveIntensity = this.braking
+        ? TAIL_BRAKING
+        : this.enabled
+          ? TAIL_ON
+          : TAIL_IDLE;
+    });
+    this.beams.forEach((beam) => {
+      beam.intensity = this.enabled ? 30 : 0;
+      beam.visible = this.enabled;
+    });
+  }
+
+  dispose() {
+    this.group.removeFromParent();
+    [...this.headlamps, ...this.taillamps].forEach((lamp) => lamp.material.dispose());
+    this.beams.forEach((beam) => beam.dispose());
+  }
+}
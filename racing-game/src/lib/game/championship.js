@@ -0,0 +1,70 @@
+export const DEFAULT_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+// Ties on points go to the driver with more wins, then the faster best lap.
+export function compareStandings(a, b) {
+  if (a.points !== b.points) return b.points - a.points;
+  if (a.wins !== b.wins) return b.wins - a.wins;
+  if (a.bestLap !== b.bestLap) {
+    if (!Number.isFinite(a.bestLap)) return 1;
+    if (!Number.isFinite(b.bestLap)) return -1;
+    return a.bestLap - b.bestLap;
+  }
+  return a.name.localeCompare(b.name);
+}
+
+export class Championship {
+  constructor({ rounds, points = DEFAULT_POINTS }) {
+    this.rounds = rounds;
+    this.points = points;
+    this.results = [];
+    this.drivers = new Map();
+  }
+
+  get round() {
+    return this.results.length;
+  }
+
+  isComplete() {
+    return this.results.length >= this.rounds;
+  }
+
+  pointsFor(position) {
+    return this.points[position - 1] ?? 0;
+  }
+
+  recordRound(trackName, finishers) {
+    if (this.isComplete()) return this.getStandings();
+    const round = finishers.map(({ name, bestLap, isPlayer = false }, idx) => {
+      const position = idx + 1;
+      const points = this.pointsFor(position);
+      const driver = this.drivers.get(name) ?? {
+        name,
+        isPlayer,
+        points: 0,
+        wins: 0,
+        podiums: 0,
+        bestLap: Infinity,
+        finishes: [],
+      };
+      driver.points += points;
+      if (position === 1) driver.wins += 1;
+      if (position <= 3) driver.podiums += 1;
+      if (Number.isFinite(bestLap)) driver.bestLap = Math.min(driver.bestLap, bestLap);
+      driver.finishes.push(position);
+      this.drivers.set(name, driver);
+      return { name, position, points, bestLap };
+    });
+    this.results.push({ trackName, finishers: round });
+    return this.getStandings();
+  }
+
+  getStandings() {
+    return [...this.drivers.values()]
+      .map((driver) => ({ ...driver, finishes: [...driver.finishes] }))
+      .sort(compareStandings);
+  }
+
+  getPodium() {
+    return this.isComplete() ? this.getStandings().slice(0, 3) : [];
+  }
+}
@@ -0,0 +1,144 @@
+import * as THREE from "three";
+
+export const DEFAULT_ROAD_WIDTH = 14;
+const GATE_TOLERANCE = 4;
+const OFF_TRACK_MARGIN = 0.5;
+const OFF_TRACK_GRACE = 0.25;
+const WRONG_WAY_SPEED = 3;
+const WRONG_WAY_DELAY = 0.75;
+
+export function getRoadHalfWidth(track) {
+  return (track.config.roadWidth ?? track.config.width ?? DEFAULT_ROAD_WIDTH) / 2;
+}
+
+export function createCheckpoints(track, count = 12) {
+  const halfWidth = getRoadHalfWidth(track);
+  return Array.from({ length: count }, (_, index) => {
+    const progress = (index + 0.5) / count;
+    return {
+      index,
+      progress,
+      position: track.curve.getPointAt(progress),
+      tangent: track.curve.getTangentAt(progress),
+      halfWidth: halfWidth + GATE_TOLERANCE,
+    };
+  });
+}
+
+function lateralDistance(track, car) {
+  const centre = track.curve.getPointAt(car.progress);
+  return Math.hypot(car.position.x - centre.x, car.position.z - centre.z);
+}
+
+export class LapValidator {
+  constructor(
+    track,
+    { invalidateLaps = false, penaltySeconds = 2, gateCount = 12, pitLane = null } = {},
+  ) {
+    this.track = track;
+    this.pitLane = pitLane;
+    this.gates = createCheckpoints(track, gateCount);
+    this.halfWidth = getRoadHalfWidth(track);
+    this.invalidateLaps = invalidateLaps;
+    this.penaltySeconds = penaltySeconds;
+    this.cars = new Map();
+    this.tangent = new THREE.Vector3();
+  }
+
+  getState(car) {
+    if (!this.cars.has(car)) {
+      this.cars.set(car, {
+        nextGate: 0,
+        lapValid: true,
+        offTrackTime: 0,
+        offTrack: false,
+        wrongWayTime: 0,
+        wrongWay: false,
+        violations: 0,
+        penalty: 0,
+      });
+    }
+    return this.cars.get(car);
+  }
+
+  update(car, prevProgress, dt) {
+    const state = this.getState(car);
+    const lateral = lateralDistance(this.track, car);
+    const inPitLane = this.pitLane?.isInLane(car) ?? false;
+    const events = [];
+
+    const gate = this.gates[state.nextGate];
+    const moved = car.progress - prevProgress;
+    if (
+      gate &&
+      moved > 0 &&
+      moved < 0.5 &&
+      prevProgress < gate.progress &&
+      car.progress >= gate.progress &&
+      (lateral <= gate.halfWidth || inPitLane)
+    ) {
+      state.nextGate += 1;
+    }
+
+    this.tangent.copy(this.track.curve.getTangentAt(car.progress));
+    const heading = car.velocity.dot(this.tangent);
+    if (car.speed > WRONG_WAY_SPEED && heading < 0) {
+      state.wrongWayTime += dt;
+    } else {
+      state.wrongWayTime = 0;
+    }
+    const wrongWay = state.wrongWayTime > WRONG_WAY_DELAY;
+    if (wrongWay !== state.wrongWay) {
+      state.wrongWay = wrongWay;
+      events.push({ type: "wrongWay", car, active: wrongWay });
+    }
+
+    if (lateral > this.halfWidth + OFF_TRACK_MARGIN && !inPitLane) {
+      state.offTrackTime += dt;
+      if (!state.offTrack && state.offTrackTime > OFF_TRACK_GRACE) {
+        state.offTrack = true;
+        state.violations += 1;
+        let penalty = 0;
+        if (this.invalidateLaps) {
+          state.lapValid = false;
+        } else {
+          penalty = this.penaltySeconds;
+          state.penalty += penalty;
+        }
+        events.push({
+          type: "trackLimits",
+          car,
+          penalty,
+          lapInvalidated: this.invalidateLaps,
+          violations: state.violations,
+        });
+      }
+    } else {
+      state.offTrackTime = 0;
+      state.offTrack = false;
+    }
+
+    return events;
+  }
+
+  completeLap(car) {
+    const state = this.getState(car);
+    if (state.nextGate < this.gates.length) return null;
+    const valid = state.lapValid;
+    state.nextGate = 0;
+    state.lapValid = true;
+    return { valid };
+  }
+
+  getPenalty(car) {
+    return this.getState(car).penalty;
+  }
+
+  isWrongWay(car) {
+    return this.getState(car).wrongWay;
+  }
+
+  isLapValid(car) {
+    return this.getState(car).lapValid;
+  }
+}
@@ -0,0 +1,143 @@
+import * as THREE from "three";
+import { GifEncoder } from "./gif";
+
+export const CLIP_RESOLUTIONS = {
+  "360p": [640, 360],
+  "480p": [854, 480],
+  "720p": [1280, 720],
+  "1080p": [1920, 1080],
+};
+export const CLIP_FRAME_RATES = [15, 24, 30, 60];
+export const CLIP_FORMATS = ["webm", "gif"];
+
+const GIF_MAX_WIDTH = 640;
+const GIF_MAX_FRAMES = 600;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function pickWebmType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) =>
+      MediaRecorder.isTypeSupported(type),
+    ) ?? null
+  );
+}
+
+export function isWebmSupported() {
+  return pickWebmType() !== null;
+}
+
+// Browsers cap the WebGL contexts a page may hold and drop the oldest one
+// (the game's own renderer) when it runs out, so keep one exporter per engine
+// and call prepare() before each clip or photo.
+export class ClipExporter {
+  constructor({ scene, camera }) {
+    this.scene = scene;
+    this.sourceCamera = camera;
+    this.canvas = document.createElement("canvas");
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: this.canvas,
+      antialias: true,
+      preserveDrawingBuffer: true,
+    });
+    this.renderer.setPixelRatio(1);
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+    this.camera = camera.clone();
+    this.cancelled = false;
+  }
+
+  prepare(width, height) {
+    this.width = width;
+    this.height = height;
+    this.renderer.setSize(width, height, false);
+    this.camera.copy(this.sourceCamera);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.cancelled = false;
+    return this;
+  }
+
+  renderFrame() {
+    this.camera.position.copy(this.sourceCamera.position);
+    this.camera.quaternion.copy(this.sourceCamera.quaternion);
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async snapshot() {
+    this.renderFrame();
+    return new Promise((resolve, reject) =>
+      this.canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("The photo could not be captured."))),
+        "image/png",
+      ),
+    );
+  }
+
+  async exportWebm({ from, to, fps, prepareFrame, onProgress }) {
+    const mimeType = pickWebmType();
+    if (!mimeType) throw new Error("This browser cannot record WebM video.");
+    const stream = this.canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(this.width * this.height * fps * 0.15),
+    });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve) => {
+      recorder.onstop = resolve;
+    });
+    recorder.start();
+    const total = Math.max(1, Math.ceil((to - from) * fps));
+    for (let frame = 0; frame <= total && !this.cancelled; frame += 1) {
+      prepareFrame(from + frame / fps, 1 / fps);
+      this.renderFrame();
+      track.requestFrame?.();
+      onProgress?.(frame / total);
+      await wait(1000 / fps);
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: "video/webm" });
+  }
+
+  async exportGif({ from, to, fps, prepareFrame, onProgress }) {
+    const scale = Math.min(1, GIF_MAX_WIDTH / this.width);
+    const width = Math.round(this.width * scale);
+    const height = Math.round(this.height * scale);
+    const context = Object.assign(document.createElement("canvas"), { width, height }).getContext(
+      "2d",
+      { willReadFrequently: true },
+    );
+    const encoder = new GifEncoder(width, height, fps);
+    const total = Math.min(GIF_MAX_FRAMES, Math.max(1, Math.ceil((to - from) * fps)));
+    for (let frame = 0; frame <= total && !this.cancelled; frame += 1) {
+      prepareFrame(from + frame / fps, 1 / fps);
+      this.renderFrame();
+      context.drawImage(this.canvas, 0, 0, width, height);
+      encoder.addFrame(context.getImageData(0, 0, width, height).data);
+      onProgress?.(frame / total);
+      await wait(0);
+    }
+    return encoder.finish();
+  }
+
+  export({ format, ...options }) {
+    return format === "gif" ? this.exportGif(options) : this.exportWebm(options);
+  }
+
+  dispose() {
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+  }
+}
@@ -0,0 +1,171 @@
+import * as THREE from "three";
+import { getRoadHalfWidth } from "./checkpoints";
+
+export const DEFAULT_MASS = 1250;
+export const MAX_DAMAGE = 100;
+
+// Each car is approximated by two circles along its length.
+const CIRCLE_RADIUS = 1.15;
+const CIRCLE_OFFSET = 1.2;
+const CAR_HALF_WIDTH = 1.1;
+const BARRIER_GAP = 3;
+const CAR_RESTITUTION = 0.35;
+const BARRIER_RESTITUTION = 0.3;
+const BARRIER_SCRUB = 0.92;
+const DAMAGE_THRESHOLD = 3;
+const DAMAGE_PER_IMPACT_SPEED = 2.2;
+const TOP_SPEED_LOSS = 0.35;
+const STEERING_LOSS = 0.4;
+const MAX_PULL = 0.12;
+
+const up = new THREE.Vector3(0, 1, 0);
+const forward = new THREE.Vector3();
+const right = new THREE.Vector3();
+const delta = new THREE.Vector3();
+const normal = new THREE.Vector3();
+
+function getCircles(car) {
+  forward.copy(car.getForwardVector()).setY(0).normalize();
+  return [
+    car.position.clone().addScaledVector(forward, CIRCLE_OFFSET),
+    car.position.clone().addScaledVector(forward, -CIRCLE_OFFSET),
+  ];
+}
+
+export class CollisionSystem {
+  constructor(track, { pitLane = null } = {}) {
+    this.track = track;
+    this.pitLane = pitLane;
+    this.barrier = track.config.barrierOffset ?? getRoadHalfWidth(track) + BARRIER_GAP;
+    this.cars = new Map();
+  }
+
+  getState(car) {
+    if (!this.cars.has(car)) this.cars.set(car, { damage: 0, pull: 0 });
+    return this.cars.get(car);
+  }
+
+  getDamage(car) {
+    return this.cars.get(car)?.damage ?? 0;
+  }
+
+  repair(car) {
+    const state = this.getState(car);
+    const repaired = state.damage;
+    state.damage = 0;
+    state.pull = 0;
+    return repaired;
+  }
+
+  // Positive side means the hit landed on the car's right.
+  addDamage(car, amount, side = 0) {
+    const state = this.getState(car);
+    const applied = Math.min(amount, MAX_DAMAGE - state.damage);
+    state.damage += applied;
+    state.pull = THREE.MathUtils.clamp(state.pull + (side * applied) / MAX_DAMAGE, -1, 1);
+    return applied;
+  }
+
+  getImpactSide(car, point) {
+    forward.copy(car.getForwardVector()).setY(0).normalize();
+    right.crossVectors(forward, up);
+    return Math.sign(delta.copy(point).sub(car.position).dot(right));
+  }
+
+  adaptInput(input, car) {
+    const state = this.cars.get(car);
+    if (!state?.damage) return input;
+    const wear = state.damage / MAX_DAMAGE;
+    const pull = car.speed > 3 ? state.pull * MAX_PULL : 0;
+    return {
+      ...input,
+      throttle: input.throttle * (1 - wear * TOP_SPEED_LOSS),
+      steer: THREE.MathUtils.clamp(input.steer * (1 - wear * STEERING_LOSS) + pull, -1, 1),
+    };
+  }
+
+  getImpactDamage(speed, share = 1) {
+    return Math.max(0, speed - DAMAGE_THRESHOLD) * DAMAGE_PER_IMPACT_SPEED * share;
+  }
+
+  resolve(cars, getMass) {
+    const impacts = [];
+    const circles = cars.map(getCircles);
+    for (let i = 0; i < cars.length; i += 1) {
+      for (let j = i + 1; j < cars.length; j += 1) {
+        const impact = this.resolvePair(cars[i], cars[j], circles[i], circles[j], getMass);
+        if (impact) impacts.push(impact);
+      }
+    }
+    cars.forEach((car) => {
+      const impact = this.resolveBarrier(car);
+      if (impact) impacts.push(impact);
+    });
+    return impacts;
+  }
+
+  resolvePair(a, b, circlesA, circlesB, getMass) {
+    let deepest = null;
+    circlesA.forEach((pointA) => {
+      circlesB.forEach((pointB) => {
+        const dx = pointA.x - pointB.x;
+        const dz = pointA.z - pointB.z;
+        const distance = Math.hypot(dx, dz);
+        const overlap = CIRCLE_RADIUS * 2 - distance;
+        if (overlap > 0 && (!deepest || overlap > deepest.overlap)) {
+          deepest = { overlap, distance, dx, dz, pointA, pointB };
+        }
+      });
+    });
+    if (!deepest) return null;
+
+    const { overlap, distance, dx, dz, pointA, pointB } = deepest;
+    if (distance > 1e-6) normal.set(dx / distance, 0, dz / distance);
+    else normal.copy(a.getForwardVector()).setY(0).normalize();
+    const massA = getMass(a);
+    const massB = getMass(b);
+    const total = massA + massB;
+    a.position.addScaledVector(normal, (overlap * massB) / total);
+    b.position.addScaledVector(normal, (-overlap * massA) / total);
+
+    const closing = delta.copy(a.velocity).sub(b.velocity).dot(normal);
+    if (closing >= 0) return null;
+    const impulse = (-(1 + CAR_RESTITUTION) * closing) / (1 / massA + 1 / massB);
+    a.velocity.addScaledVector(normal, impulse / massA);
+    b.velocity.addScaledVector(normal, -impulse / massB);
+    return {
+      car: a,
+      other: b,
+      speed: -closing,
+      point: pointA.clone().add(pointB).multiplyScalar(0.5),
+      share: [massB / total, massA / total],
+    };
+  }
+
+  resolveBarrier(car) {
+    const { curve } = this.track;
+    const centre = curve.getPointAt(car.progress);
+    const tangent = curve.getTangentAt(car.progress);
+    normal.set(-tangent.z, 0, tangent.x).normalize();
+    const offset = delta.copy(car.position).sub(centre).dot(normal);
+    const side = Math.sign(offset);
+    const barrier = this.pitLane
+      ? this.pitLane.getBarrierOffset(car.progress, side, this.barrier)
+      : this.barrier;
+    const limit = barrier - CAR_HALF_WIDTH;
+    if (Math.abs(offset) <= limit) return null;
+
+    car.position.addScaledVector(normal, -side * (Math.abs(offset) - limit));
+    const outward = car.velocity.dot(normal) * side;
+    if (outward <= 0) return null;
+    car.velocity.addScaledVector(normal, -side * outward * (1 + BARRIER_RESTITUTION));
+    car.velocity.multiplyScalar(BARRIER_SCRUB);
+    return {
+      car,
+      other: null,
+      speed: outward,
+      point: car.position.clone().addScaledVector(normal, side * CAR_HALF_WIDTH),
+      share: [1],
+    };
+  }
+}
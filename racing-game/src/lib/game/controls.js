@@ -0,0 +1,159 @@
+import { loadJSON, saveJSON } from "./storage";
+
+const STORAGE_KEY = "controls";
+
+export const CONTROL_ACTIONS = [
+  { id: "throttle", label: "Throttle", action: "throttle", value: 1 },
+  { id: "brake", label: "Brake", action: "brake", value: 1 },
+  { id: "steerLeft", label: "Steer Left", action: "steer", value: -1 },
+  { id: "steerRight", label: "Steer Right", action: "steer", value: 1 },
+  { id: "handbrake", label: "Handbrake", action: "handbrake", value: 1 },
+  { id: "boost", label: "Boost", action: "boost", value: true },
+];
+
+export const DEFAULT_PROFILE_NAME = "Default";
+
+export const DEFAULT_KEYS = {
+  player1: {
+    throttle: "KeyW",
+    brake: "KeyS",
+    steerLeft: "KeyA",
+    steerRight: "KeyD",
+    handbrake: "Space",
+    boost: "ShiftLeft",
+  },
+  player2: {
+    throttle: "ArrowUp",
+    brake: "ArrowDown",
+    steerLeft: "ArrowLeft",
+    steerRight: "ArrowRight",
+    handbrake: "Slash",
+    boost: "ShiftRight",
+  },
+};
+
+const KEY_LABELS = {
+  Space: "Space",
+  ShiftLeft: "Left Shift",
+  ShiftRight: "Right Shift",
+  ControlLeft: "Left Ctrl",
+  ControlRight: "Right Ctrl",
+  AltLeft: "Left Alt",
+  AltRight: "Right Alt",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Slash: "/",
+  Backslash: "\\",
+  Period: ".",
+  Comma: ",",
+  Semicolon: ";",
+  Quote: "'",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Minus: "-",
+  Equal: "=",
+  Enter: "Enter",
+  Tab: "Tab",
+};
+
+export function formatKey(code) {
+  if (!code) return "Unbound";
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+export function cloneKeys(keys) {
+  return Object.fromEntries(
+    Object.entries(keys).map(([playerId, bindings]) => [playerId, { ...bindings }]),
+  );
+}
+
+export function buildKeyBindings(keys) {
+  return Object.fromEntries(
+    Object.entries(keys).map(([playerId, bindings]) => [
+      playerId,
+      Object.fromEntries(
+        CONTROL_ACTIONS.filter(({ id }) => bindings[id]).map(({ id, action, value }) => [
+          bindings[id],
+          { action, value },
+        ]),
+      ),
+    ]),
+  );
+}
+
+// Binds `code` to one action; whichever action already used that key takes
+// over the old key instead, so a rebind never leaves two actions sharing one.
+export function rebindKey(keys, playerId, actionId, code) {
+  const next = cloneKeys(keys);
+  const previous = next[playerId][actionId];
+  Object.values(next).forEach((bindings) => {
+    Object.keys(bindings).forEach((id) => {
+      if (bindings[id] === code) bindings[id] = previous;
+    });
+  });
+  next[playerId][actionId] = code;
+  return next;
+}
+
+export function getUnusedProfileName(profiles, base = "Custom") {
+  if (!profiles[base]) return base;
+  let suffix = 2;
+  while (profiles[`${base} ${suffix}`]) suffix += 1;
+  return `${base} ${suffix}`;
+}
+
+export function findConflicts(keys) {
+  const uses = new Map();
+  Object.entries(keys).forEach(([playerId, bindings]) => {
+    Object.entries(bindings).forEach(([actionId, code]) => {
+      if (!code) return;
+      if (!uses.has(code)) uses.set(code, []);
+      uses.get(code).push({ playerId, actionId });
+    });
+  });
+  return [...uses.entries()]
+    .filter(([, bindings]) => bindings.length > 1)
+    .map(([code, bindings]) => ({ code, bindings }));
+}
+
+export function describeBindings(keys, playerCount = 2) {
+  return Object.values(keys)
+    .slice(0, playerCount)
+    .map((bindings, idx) => {
+      const pair = (a, b) => `${formatKey(bindings[a])}/${formatKey(bindings[b])}`;
+      return `Player ${idx + 1}: ${pair("throttle", "brake")} + ${pair(
+        "steerLeft",
+        "steerRight",
+      )}, ${formatKey(bindings.boost)} (boost), ${formatKey(
+        bindings.handbrake,
+      )} (handbrake).`;
+    })
+    .join(" ");
+}
+
+export function loadControlProfiles() {
+  const stored = loadJSON(STORAGE_KEY, null);
+  const profiles = { [DEFAULT_PROFILE_NAME]: cloneKeys(DEFAULT_KEYS) };
+  Object.entries(stored?.profiles ?? {}).forEach(([name, keys]) => {
+    if (name === DEFAULT_PROFILE_NAME) return;
+    profiles[name] = {
+      player1: { ...DEFAULT_KEYS.player1, ...keys?.player1 },
+      player2: { ...DEFAULT_KEYS.player2, ...keys?.player2 },
+    };
+  });
+  const active = profiles[stored?.active] ? stored.active : DEFAULT_PROFILE_NAME;
+  return { active, profiles };
+}
+
+export function saveControlProfiles({ active, profiles }) {
+  const custom = Object.fromEntries(
+    Object.entries(profiles).filter(([name]) => name !== DEFAULT_PROFILE_NAME),
+  );
+  return saveJSON(STORAGE_KEY, { active, profiles: custom });
+}
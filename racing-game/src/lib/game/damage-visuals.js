@@ -0,0 +1,151 @@
+import * as THREE from "three";
+
+const DENT_RADIUS = 1.4;
+const DENT_DEPTH = 0.03;
+const MAX_DENT = 0.4;
+const DETACH_THRESHOLDS = [40, 65, 90];
+const MAX_PART_RADIUS = 0.9;
+const GRAVITY = 18;
+const DEBRIS_LIFETIME = 8;
+
+const local = new THREE.Vector3();
+const vertex = new THREE.Vector3();
+const original = new THREE.Vector3();
+const push = new THREE.Vector3();
+
+export class DamageVisuals {
+  constructor(car) {
+    this.car = car;
+    this.meshes = [];
+    car.mesh.traverse((object) => {
+      if (object.isMesh && object.geometry?.attributes.position) {
+        object.geometry.computeBoundingSphere();
+        this.meshes.push(object);
+      }
+    });
+    this.originals = new Map();
+    this.debris = [];
+    this.detached = 0;
+
+    const box = new THREE.Box3().setFromObject(car.mesh);
+    const floor = box.min.y + (box.max.y - box.min.y) * 0.45;
+    const largest = Math.max(...this.meshes.map((mesh) => mesh.geometry.boundingSphere.radius));
+    this.parts = this.meshes.filter((mesh) => {
+      const { radius } = mesh.geometry.boundingSphere;
+      const centre = mesh.getWorldPosition(new THREE.Vector3());
+      return radius < MAX_PART_RADIUS && radius < largest && centre.y > floor;
+    });
+  }
+
+  deform(mesh, point, severity) {
+    if (!this.originals.has(mesh)) {
+      mesh.geometry = mesh.geometry.clone();
+      this.originals.set(mesh, mesh.geometry.attributes.position.array.slice());
+    }
+    const positions = mesh.geometry.attributes.position;
+    const source = this.originals.get(mesh);
+    mesh.updateMatrixWorld(true);
+    local.copy(point);
+    mesh.worldToLocal(local);
+    const centre = mesh.worldToLocal(this.car.mesh.getWorldPosition(new THREE.Vector3()));
+    const depth = DENT_DEPTH * severity;
+    let changed = false;
+    for (let idx = 0; idx < positions.count; idx += 1) {
+      vertex.fromBufferAttribute(positions, idx);
+      const distance = vertex.distanceTo(local);
+      if (distance > DENT_RADIUS) continue;
+      push.copy(centre).sub(vertex).setY(0).normalize().multiplyScalar(depth * (1 - distance / DENT_RADIUS));
+      vertex.add(push);
+      original.fromArray(source, idx * 3);
+      if (vertex.distanceTo(original) > MAX_DENT) {
+        vertex.sub(original).setLength(MAX_DENT).add(original);
+      }
+      positions.setXYZ(idx, vertex.x, vertex.y, vertex.z);
+      changed = true;
+    }
+    if (changed) {
+      positions.needsUpdate = true;
+      mesh.geometry.computeVertexNormals();
+    }
+  }
+
+  detach(point) {
+    const scene = this.car.mesh.parent;
+    if (!scene || !this.parts.length) return;
+    const nearest = this.parts.reduce((best, part) =>
+      part.getWorldPosition(vertex).distanceTo(point) <
+      best.getWorldPosition(original).distanceTo(point)
+        ? part
+        : best,
+    );
+    this.parts = this.parts.filter((part) => part !== nearest);
+    this.meshes = this.meshes.filter((mesh) => mesh !== nearest);
+    const ground = this.car.position.y;
+    const mount = {
+      parent: nearest.parent,
+      position: nearest.position.clone(),
+      quaternion: nearest.quaternion.clone(),
+    };
+    scene.attach(nearest);
+    const outward = nearest.position.clone().sub(this.car.position).setY(0).normalize();
+    this.debris.push({
+      part: nearest,
+      mount,
+      ground,
+      age: 0,
+      velocity: outward.multiplyScalar(4).add(this.car.velocity.clone().multiplyScalar(0.6)).setY(4),
+      spin: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(8),
+    });
+  }
+
+  hit(point, severity, damage) {
+    this.meshes.forEach((mesh) => this.deform(mesh, point, severity));
+    while (this.detached < DETACH_THRESHOLDS.length && damage >= DETACH_THRESHOLDS[this.detached]) {
+      this.detached += 1;
+      this.detach(point);
+    }
+  }
+
+  repair() {
+    this.originals.forEach((source, mesh) => {
+      const positions = mesh.geometry.attributes.position;
+      positions.array.set(source);
+      positions.needsUpdate = true;
+      mesh.geometry.computeVertexNormals();
+    });
+    this.debris.forEach(({ part, mount }) => {
+      mount.parent.add(part);
+      part.position.copy(mount.position);
+      part.quaternion.copy(mount.quaternion);
+      this.parts.push(part);
+      this.meshes.push(part);
+    });
+    this.debris = [];
+    this.detached = 0;
+  }
+
+  update(dt) {
+    this.debris.forEach((piece) => {
+      if (piece.age > DEBRIS_LIFETIME) return;
+      piece.age += dt;
+      const { part, velocity, spin } = piece;
+      velocity.y -= GRAVITY * dt;
+      part.position.addScaledVector(velocity, dt);
+      if (part.position.y <= piece.ground) {
+        part.position.y = piece.ground;
+        velocity.set(velocity.x * 0.6, Math.abs(velocity.y) * 0.25, velocity.z * 0.6);
+        spin.multiplyScalar(0.6);
+      }
+      part.rotation.x += spin.x * dt;
+      part.rotation.y += spin.y * dt;
+      part.rotation.z += spin.z * dt;
+    });
+  }
+
+  dispose() {
+    this.debris.forEach(({ part }) => part.removeFromParent());
+    this.originals.forEach((_, mesh) => mesh.geometry.dispose());
+    this.debris = [];
+    this.originals.clear();
+  }
+}
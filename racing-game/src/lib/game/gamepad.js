@@ -0,0 +1,127 @@
+export const GAMEPAD_SETTINGS = {
+  stickDeadzone: 0.15,
+  triggerDeadzone: 0.05,
+  steerCurve: 1.6,
+  pedalCurve: 1.2,
+};
+
+const BUTTONS = {
+  boost: 0,
+  handbrake: 1,
+  boostAlt: 5,
+  brake: 6,
+  throttle: 7,
+  start: 9,
+};
+
+const PLAYER_SLOTS = ["player1", "player2"];
+
+export function applyDeadzone(value, deadzone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+export function applyCurve(value, exponent) {
+  return Math.sign(value) * Math.abs(value) ** exponent;
+}
+
+function buttonValue(pad, index) {
+  const button = pad.buttons[index];
+  if (!button) return 0;
+  return typeof button === "object" ? button.value : Number(button);
+}
+
+export function readGamepadInput(pad, settings = GAMEPAD_SETTINGS) {
+  const steer = applyCurve(
+    applyDeadzone(pad.axes[0] ?? 0, settings.stickDeadzone),
+    settings.steerCurve,
+  );
+  const throttle = applyCurve(
+    applyDeadzone(buttonValue(pad, BUTTONS.throttle), settings.triggerDeadzone),
+    settings.pedalCurve,
+  );
+  const brake = applyCurve(
+    applyDeadzone(buttonValue(pad, BUTTONS.brake), settings.triggerDeadzone),
+    settings.pedalCurve,
+  );
+  return {
+    throttle,
+    brake,
+    steer,
+    handbrake: buttonValue(pad, BUTTONS.handbrake) > 0.5 ? 1 : 0,
+    boost:
+      buttonValue(pad, BUTTONS.boost) > 0.5 ||
+      buttonValue(pad, BUTTONS.boostAlt) > 0.5,
+    start: buttonValue(pad, BUTTONS.start) > 0.5,
+  };
+}
+
+export function mergeInputs(keyboard, pad) {
+  if (!pad) return keyboard;
+  return {
+    throttle: Math.max(keyboard.throttle, pad.throttle),
+    brake: Math.max(keyboard.brake, pad.brake),
+    steer: keyboard.steer !== 0 ? keyboard.steer : pad.steer,
+    handbrake: Math.max(keyboard.handbrake, pad.handbrake),
+    boost: keyboard.boost || pad.boost,
+  };
+}
+
+export class GamepadManager {
+  constructor(settings = GAMEPAD_SETTINGS) {
+    this.settings = settings;
+    this.assignments = new Map();
+    this.inputs = new Map();
+    this.startHeld = new Set();
+    this.startPressed = false;
+  }
+
+  isSupported() {
+    return typeof navigator !== "undefined" && typeof navigator.getGamepads === "function";
+  }
+
+  poll() {
+    this.inputs.clear();
+    this.startPressed = false;
+    if (!this.isSupported()) return this.inputs;
+    const pads = [...navigator.getGamepads()].filter((pad) => pad?.connected);
+    const connected = new Set(pads.map((pad) => pad.index));
+
+    this.assignments.forEach((padIndex, playerId) => {
+      if (!connected.has(padIndex)) this.assignments.delete(playerId);
+    });
+    pads.forEach((pad) => {
+      if ([...this.assignments.values()].includes(pad.index)) return;
+      const slot = PLAYER_SLOTS.find((id) => !this.assignments.has(id));
+      if (slot) this.assignments.set(slot, pad.index);
+    });
+
+    pads.forEach((pad) => {
+      const playerId = [...this.assignments.entries()].find(
+        ([, padIndex]) => padIndex === pad.index,
+      )?.[0];
+      const input = readGamepadInput(pad, this.settings);
+      if (input.start && !this.startHeld.has(pad.index)) this.startPressed = true;
+      if (input.start) this.startHeld.add(pad.index);
+      else this.startHeld.delete(pad.index);
+      if (playerId) this.inputs.set(playerId, input);
+    });
+    return this.inputs;
+  }
+
+  getInput(playerId) {
+    return this.inputs.get(playerId) ?? null;
+  }
+
+  rumble(playerId, { strong = 0.6, weak = 0.4, duration = 180 } = {}) {
+    if (!this.isSupported() || !this.assignments.has(playerId)) return;
+    const pad = navigator.getGamepads()[this.assignments.get(playerId)];
+    pad?.vibrationActuator?.playEffect?.("dual-rumble", {
+      startDelay: 0,
+      duration,
+      strongMagnitude: Math.min(1, strong),
+      weakMagnitude: Math.min(1, weak),
+    });
+  }
+}
@@ -0,0 +1,119 @@
+import { Car } from "./physics";
+import { ReplayPlayer, ReplayRecorder } from "./replay";
+import { loadJSON, saveJSON } from "./storage";
+
+// Bump when the saved frame layout changes; older ghosts are then ignored.
+export const GHOST_VERSION = 1;
+const SPLIT_BUCKETS = 200;
+// Ghost laps are stored in localStorage, so sample at 15 Hz rather than every
+// session tick and trim the decimals; playback interpolates between frames.
+const SAMPLE_INTERVAL = 1 / 15;
+const SAVED_DECIMALS = 1000;
+
+const roundValue = (value) => Math.round(value * SAVED_DECIMALS) / SAVED_DECIMALS;
+
+export function personalBestKey(trackConfig, presetKey, upgradeKey) {
+  const trackId = trackConfig.id ?? trackConfig.name;
+  return `pb:${trackId}:${presetKey}:${upgradeKey}`;
+}
+
+export function loadPersonalBest(key) {
+  const record = loadJSON(key, null);
+  if (record?.version !== GHOST_VERSION || !Number.isFinite(record.time)) return null;
+  return Array.isArray(record.frames) ? record : null;
+}
+
+export function savePersonalBest(key, record) {
+  return saveJSON(key, record);
+}
+
+function makeTranslucent(mesh, opacity) {
+  mesh.traverse((child) => {
+    if (!child.material) return;
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    const ghosted = materials.map((material) => {
+      const clone = material.clone();
+      clone.transparent = true;
+      clone.opacity = opacity;
+      clone.depthWrite = false;
+      return clone;
+    });
+    child.material = Array.isArray(child.material) ? ghosted : ghosted[0];
+    child.castShadow = false;
+    child.receiveShadow = false;
+  });
+}
+
+function progressBucket(progress) {
+  return Math.min(SPLIT_BUCKETS - 1, Math.max(0, Math.floor(progress * SPLIT_BUCKETS)));
+}
+
+export class LapGhost {
+  constructor({ key, color, opacity = 0.35 }) {
+    this.key = key;
+    this.best = loadPersonalBest(key);
+    this.recorder = new ReplayRecorder();
+    this.lastSample = -Infinity;
+    // The best lap has a recorder of its own so recording a new lap never
+    // overwrites the frames being played back.
+    this.bestLap = new ReplayRecorder();
+    this.bestLap.loadFrames(this.best?.frames);
+    this.player = new ReplayPlayer(this.bestLap);
+    this.splits = [];
+    this.car = new Car({ color, name: "Ghost" });
+    makeTranslucent(this.car.mesh, opacity);
+    this.car.mesh.visible = false;
+  }
+
+  get bestTime() {
+    return this.best?.time ?? Infinity;
+  }
+
+  startLap() {
+    this.recorder.start();
+    this.lastSample = -Infinity;
+    this.splits = [];
+    this.car.mesh.visible = this.player.start(1);
+  }
+
+  record(car) {
+    if (car.totalLapTime - this.lastSample >= SAMPLE_INTERVAL) {
+      this.lastSample = car.totalLapTime;
+      this.recorder.record(car.totalLapTime, [car]);
+    }
+    if (this.splits.length === 0 && car.progress > 0.5) return;
+    const bucket = progressBucket(car.progress);
+    if (this.splits[bucket] === undefined) {
+      this.splits[bucket] = car.totalLapTime;
+    }
+  }
+
+  step(dt) {
+    if (!this.player.playing) return;
+    this.player.step(dt, [this.car]);
+    if (!this.player.playing) this.car.mesh.visible = false;
+  }
+
+  getDelta(car) {
+    const reference = this.best?.splits?.[progressBucket(car.progress)];
+    if (reference === undefined || reference === null) return null;
+    return car.totalLapTime - reference;
+  }
+
+  // Returns null when the lap is not a personal best, otherwise whether the
+  // new best made it into storage.
+  completeLap(time, valid = true) {
+    this.recorder.stop();
+    if (!valid || !Number.isFinite(time) || time >= this.bestTime) return null;
+    this.best = {
+      version: GHOST_VERSION,
+      time,
+      frames: this.recorder.exportFrames().map((row) => row.map(roundValue)),
+      splits: this.splits.map((split) => (split === undefined ? null : roundValue(split))),
+      savedAt: Date.now(),
+    };
+    this.bestLap.loadFrames(this.best.frames);
+    this.player.stop();
+    return { saved: savePersonalBest(this.key, this.best) };
+  }
+}
@@ -0,0 +1,178 @@
+const LEVELS = [6, 7, 6];
+
+function buildPalette() {
+  const palette = new Uint8Array(256 * 3);
+  let index = 0;
+  for (let r = 0; r < LEVELS[0]; r += 1) {
+    for (let g = 0; g < LEVELS[1]; g += 1) {
+      for (let b = 0; b < LEVELS[2]; b += 1) {
+        palette[index * 3] = Math.round((r / (LEVELS[0] - 1)) * 255);
+        palette[index * 3 + 1] = Math.round((g / (LEVELS[1] - 1)) * 255);
+        palette[index * 3 + 2] = Math.round((b / (LEVELS[2] - 1)) * 255);
+        index += 1;
+      }
+    }
+  }
+  return palette;
+}
+
+const PALETTE = buildPalette();
+
+function quantize(rgba) {
+  const pixels = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < pixels.length; i += 1) {
+    const r = Math.round((rgba[i * 4] / 255) * (LEVELS[0] - 1));
+    const g = Math.round((rgba[i * 4 + 1] / 255) * (LEVELS[1] - 1));
+    const b = Math.round((rgba[i * 4 + 2] / 255) * (LEVELS[2] - 1));
+    pixels[i] = r * LEVELS[1] * LEVELS[2] + g * LEVELS[2] + b;
+  }
+  return pixels;
+}
+
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.buffer = new Uint8Array(4096);
+    this.length = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.buffer.length) this.flush();
+    this.buffer[this.length] = value & 0xff;
+    this.length += 1;
+  }
+
+  word(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  bytes(values) {
+    for (let i = 0; i < values.length; i += 1) this.byte(values[i]);
+  }
+
+  text(value) {
+    for (let i = 0; i < value.length; i += 1) this.byte(value.charCodeAt(i));
+  }
+
+  flush() {
+    this.chunks.push(this.buffer.slice(0, this.length));
+    this.length = 0;
+  }
+
+  toBlob() {
+    this.flush();
+    return new Blob(this.chunks, { type: "image/gif" });
+  }
+}
+
+function writeLzw(writer, pixels, minCodeSize = 8) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  const block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        writer.byte(255);
+        writer.bytes(block);
+        block.length = 0;
+      }
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = pixels[0];
+  for (let i = 1; i < pixels.length; i += 1) {
+    const pixel = pixels[i];
+    const key = (prefix << 8) | pixel;
+    const existing = dictionary.get(key);
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      dictionary.set(key, nextCode);
+      if (nextCode === 1 << codeSize) codeSize += 1;
+      nextCode += 1;
+    }
+    prefix = pixel;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bitBuffer & 0xff);
+  if (block.length) {
+    writer.byte(block.length);
+    writer.bytes(block);
+  }
+  writer.byte(0);
+}
+
+// Frames are quantised and compressed as they are added, so only the encoded
+// bytes are held in memory while a clip is captured.
+export class GifEncoder {
+  constructor(width, height, fps) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.max(2, Math.round(100 / fps));
+    this.writer = new ByteWriter();
+    const { writer } = this;
+    writer.text("GIF89a");
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0xf7);
+    writer.byte(0);
+    writer.byte(0);
+    writer.bytes(PALETTE);
+
+    writer.byte(0x21);
+    writer.byte(0xff);
+    writer.byte(11);
+    writer.text("NETSCAPE2.0");
+    writer.byte(3);
+    writer.byte(1);
+    writer.word(0);
+    writer.byte(0);
+  }
+
+  addFrame(rgba) {
+    const { writer } = this;
+    writer.byte(0x21);
+    writer.byte(0xf9);
+    writer.byte(4);
+    writer.byte(0);
+    writer.word(this.delay);
+    writer.byte(0);
+    writer.byte(0);
+
+    writer.byte(0x2c);
+    writer.word(0);
+    writer.word(0);
+    writer.word(this.width);
+    writer.word(this.height);
+    writer.byte(0);
+    writeLzw(writer, quantize(rgba));
+  }
+
+  finish() {
+    this.writer.byte(0x3b);
+    return this.writer.toBlob();
+  }
+}
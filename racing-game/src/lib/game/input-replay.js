@@ -0,0 +1,215 @@
+import { ReplayFileError } from "./replay-file";
+import { encodeTrackValue } from "./track-file";
+
+export const INPUT_REPLAY_FORMAT = "velocity-apex-inputs";
+export const INPUT_REPLAY_VERSION = 1;
+export const INPUT_REPLAY_EXTENSION = ".vainputs.json";
+export const CHECKSUM_INTERVAL = 120;
+const MAX_STEP = 0.1;
+
+const INPUT_SCALE = 1000;
+
+function quantize(value) {
+  return Math.round((Number(value) || 0) * INPUT_SCALE) / INPUT_SCALE;
+}
+
+export function quantizeInput(input) {
+  return {
+    throttle: quantize(input.throttle),
+    brake: quantize(input.brake),
+    steer: quantize(input.steer),
+    handbrake: quantize(input.handbrake),
+    boost: Boolean(input.boost),
+  };
+}
+
+function packInput(input) {
+  return [
+    Math.round(input.throttle * INPUT_SCALE),
+    Math.round(input.brake * INPUT_SCALE),
+    Math.round(input.steer * INPUT_SCALE),
+    Math.round(input.handbrake * INPUT_SCALE),
+    input.boost ? 1 : 0,
+  ];
+}
+
+function unpackInput([, throttle, brake, steer, handbrake, boost]) {
+  return {
+    throttle: throttle / INPUT_SCALE,
+    brake: brake / INPUT_SCALE,
+    steer: steer / INPUT_SCALE,
+    handbrake: handbrake / INPUT_SCALE,
+    boost: boost === 1,
+  };
+}
+
+export function checksumCars(cars) {
+  let hash = 0x811c9dc5;
+  const mix = (value) => {
+    let bits = Math.round(value * 1000) | 0;
+    for (let byte = 0; byte < 4; byte += 1) {
+      hash ^= bits & 0xff;
+      hash = Math.imul(hash, 0x01000193);
+      bits >>>= 8;
+    }
+  };
+  cars.forEach((car) => {
+    mix(car.position.x);
+    mix(car.position.y);
+    mix(car.position.z);
+    mix(car.speed);
+    mix(car.currentLap);
+  });
+  return hash >>> 0;
+}
+
+// Replays re-simulate against the installed track, so they carry a hash of
+// the config they were recorded on and refuse to play on an edited one.
+export function hashTrackConfig(config) {
+  const text = JSON.stringify(encodeTrackValue(config));
+  let hash = 0x811c9dc5;
+  for (let idx = 0; idx < text.length; idx += 1) {
+    hash ^= text.charCodeAt(idx);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class InputRecorder {
+  constructor(session, setup) {
+    this.setup = setup;
+    this.seed = session.seed;
+    this.step = session.step;
+    this.trackHash = hashTrackConfig(session.track.config);
+    this.tickCount = 0;
+    this.inputs = {};
+    this.lastPacked = {};
+    this.checksums = [];
+    this.unsubscribe = session.on("tick", ({ tick, inputs }) => {
+      session.entries.forEach((entry, idx) => {
+        if (entry.kind !== "player") return;
+        const packed = packInput(inputs[idx]);
+        const key = packed.join(",");
+        if (this.lastPacked[entry.id] === key) return;
+        this.lastPacked[entry.id] = key;
+        (this.inputs[entry.id] ??= []).push([tick, ...packed]);
+      });
+      if (tick % CHECKSUM_INTERVAL === 0) {
+        this.checksums.push([tick, checksumCars(session.cars)]);
+      }
+      this.tickCount = tick;
+    });
+  }
+
+  stop() {
+    this.unsubscribe();
+  }
+
+  export() {
+    return {
+      format: INPUT_REPLAY_FORMAT,
+      version: INPUT_REPLAY_VERSION,
+      createdAt: new Date().toISOString(),
+      seed: this.seed,
+      step: this.step,
+      setup: this.setup,
+      trackHash: this.trackHash,
+      tickCount: this.tickCount,
+      inputs: this.inputs,
+      checksums: this.checksums,
+    };
+  }
+}
+
+export function isInputReplay(data) {
+  return data?.format === INPUT_REPLAY_FORMAT;
+}
+
+const isTick = (value) => Number.isInteger(value) && value >= 0;
+
+// Rows must be [tick, ...values] with ticks rising and never past the end of
+// the recording.
+function checkRows(rows, length, tickCount) {
+  return (
+    Array.isArray(rows) &&
+    rows.every(
+      (row, idx) =>
+        Array.isArray(row) &&
+        row.length === length &&
+        row.every(Number.isInteger) &&
+        isTick(row[0]) &&
+        row[0] <= tickCount &&
+        (idx === 0 || row[0] > rows[idx - 1][0]),
+    )
+  );
+}
+
+export function parseInputReplay(data) {
+  if (!isInputReplay(data)) {
+    throw new ReplayFileError("This file is not a Velocity Apex input replay.");
+  }
+  if (data.version !== INPUT_REPLAY_VERSION) {
+    throw new ReplayFileError(
+      `Input replay version ${data.version} is not supported by this game (supports version ${INPUT_REPLAY_VERSION}).`,
+    );
+  }
+  if (!data.setup?.trackId || !Array.isArray(data.setup.players) || !Number.isFinite(data.seed)) {
+    throw new ReplayFileError("Input replay is missing its race setup or seed.");
+  }
+  if (!Number.isInteger(data.trackHash) || data.trackHash < 0) {
+    throw new ReplayFileError("Input replay does not say which version of its track it was recorded on.");
+  }
+  if (!Number.isFinite(data.step) || data.step <= 0 || data.step > MAX_STEP) {
+    throw new ReplayFileError(`Input replay step must be a number of seconds above 0 and at most ${MAX_STEP}.`);
+  }
+  if (!isTick(data.tickCount)) {
+    throw new ReplayFileError("Input replay tickCount must be a whole number of ticks.");
+  }
+  const inputs = Object.values(data.inputs ?? {});
+  if (inputs.some((rows) => !checkRows(rows, 6, data.tickCount))) {
+    throw new ReplayFileError("Input replay input data is truncated or corrupted.");
+  }
+  if (
+    !checkRows(data.checksums, 2, data.tickCount) ||
+    data.checksums.some(([, checksum]) => checksum < 0 || checksum > 0xffffffff)
+  ) {
+    throw new ReplayFileError("Input replay checksums are truncated or corrupted.");
+  }
+  return data;
+}
+
+export class InputPlayback {
+  constructor(data) {
+    this.data = data;
+    this.cursors = {};
+    this.session = null;
+    this.drift = null;
+    this.checksumIndex = 0;
+  }
+
+  attach(session) {
+    this.session = session;
+    return session.on("tick", ({ tick }) => {
+      const expected = this.data.checksums[this.checksumIndex];
+      if (!expected || expected[0] !== tick) return;
+      this.checksumIndex += 1;
+      const actual = checksumCars(session.cars);
+      if (actual !== expected[1] && !this.drift) {
+        this.drift = { tick, time: tick * session.step, expected: expected[1], actual };
+        session.emit("drift", this.drift);
+      }
+    });
+  }
+
+  readInput(playerId) {
+    const rows = this.data.inputs[playerId];
+    const tick = this.session?.tick ?? 0;
+    if (!rows?.length || rows[0][0] > tick) return null;
+    let cursor = this.cursors[playerId] ?? 0;
+    while (cursor < rows.length - 1 && rows[cursor + 1][0] <= tick) {
+      cursor += 1;
+    }
+    this.cursors[playerId] = cursor;
+    return unpackInput(rows[cursor]);
+  }
+}
@@ -0,0 +1,318 @@
+import * as THREE from "three";
+import { getRoadHalfWidth } from "./checkpoints";
+import { getRacingLine } from "./racing-line";
+
+// Progress values are lap fractions; side is +1 for the right of the racing
+// direction, -1 for the left; speedLimit is in m/s.
+export const DEFAULT_PIT_LANE = {
+  start: 0.93,
+  end: 0.035,
+  box: 0.985,
+  side: 1,
+  width: 7,
+  speedLimit: 22,
+};
+
+const MIN_PIT_STRAIGHT = 120;
+// Share of the straight left free at either end for turning in and out.
+const PIT_INSET = 0.15;
+const BOX_LENGTH = 12;
+const BARRIER_MARGIN = 40;
+const STOP_SPEED = 1.5;
+const TYRE_WEAR_PER_METRE = 1 / 12000;
+const SLIP_WEAR = 0.3;
+const WORN_GRIP_LOSS = 0.3;
+const FUEL_PER_METRE = 1 / 10000;
+const IDLE_FUEL = 0.15;
+const FUEL_MASS = 90;
+// A dry car keeps a trickle of throttle so it can still crawl to the pits.
+const LIMP_THROTTLE = 0.2;
+const SERVICE_TIME = 2;
+const TYRE_CHANGE_TIME = 3;
+const REFUEL_TIME = 6;
+const REPAIR_TIME = 5;
+const AI_WEAR_LIMIT = 0.75;
+const AI_EMERGENCY_WEAR = 0.85;
+const AI_DAMAGE_LIMIT = 60;
+
+const wrap = (progress) => ((progress % 1) + 1) % 1;
+
+// Tracks without a pitLane of their own get one along the start-finish
+// straight, or along their longest straight when the line sits in a corner.
+function derivePitLane(track) {
+  const straights = getRacingLine(track).getStraights();
+  const straight =
+    straights.find(({ start, end }) => wrap(-start) <= wrap(end - start)) ?? straights[0];
+  if (!straight || straight.length < MIN_PIT_STRAIGHT) return {};
+  const span = wrap(straight.end - straight.start);
+  return {
+    start: wrap(straight.start + span * PIT_INSET),
+    end: wrap(straight.end - span * PIT_INSET),
+    box: wrap(straight.start + span / 2),
+  };
+}
+
+export class PitLane {
+  constructor(track) {
+    const config = {
+      ...DEFAULT_PIT_LANE,
+      ...(track.config.pitLane ?? derivePitLane(track)),
+    };
+    this.track = track;
+    this.start = wrap(config.start);
+    this.end = wrap(config.end);
+    this.box = wrap(config.box);
+    this.side = config.side < 0 ? -1 : 1;
+    this.width = config.width;
+    this.speedLimit = config.speedLimit;
+    this.length = track.curve.getLength();
+    this.inner = getRoadHalfWidth(track);
+    this.outer = this.inner + this.width;
+    this.laneOffset = this.side * (this.inner + this.width / 2);
+    this.span = wrap(this.end - this.start);
+  }
+
+  contains(progress, margin = 0) {
+    return wrap(progress - this.start + margin) <= this.span + margin * 2;
+  }
+
+  getOffset(position, progress) {
+    const { curve } = this.track;
+    const centre = curve.getPointAt(progress);
+    const tangent = curve.getTangentAt(progress);
+    return (position.x - centre.x) * -tangent.z + (position.z - centre.z) * tangent.x;
+  }
+
+  isInLane(car) {
+    if (!this.contains(car.progress)) return false;
+    const offset = this.getOffset(car.position, car.progress) * this.side;
+    return offset > this.inner - 1 && offset < this.outer + 1;
+  }
+
+  isInBox(car) {
+    const gap = Math.abs(wrap(car.progress - this.box + 0.5) - 0.5) * this.length;
+    return gap < BOX_LENGTH / 2 && this.isInLane(car);
+  }
+
+  distanceToBox(progress) {
+    return wrap(this.box - progress) * this.length;
+  }
+
+  getBarrierOffset(progress, side, barrier) {
+    return side === this.side && this.contains(progress, BARRIER_MARGIN / this.length)
+      ? this.outer + 1
+      : barrier;
+  }
+
+  getPath(steps = 40) {
+    const { curve } = this.track;
+    return Array.from({ length: steps + 1 }, (_, idx) => {
+      const progress = wrap(this.start + (this.span * idx) / steps);
+      const tangent = curve.getTangentAt(progress);
+      return curve
+        .getPointAt(progress)
+        .add(new THREE.Vector3(-tangent.z, 0, tangent.x).normalize().multiplyScalar(this.laneOffset));
+    });
+  }
+
+  buildMesh(steps = 60) {
+    const { curve } = this.track;
+    const vertices = [];
+    const indices = [];
+    for (let idx = 0; idx <= steps; idx += 1) {
+      const progress = wrap(this.start + (this.span * idx) / steps);
+      const centre = curve.getPointAt(progress);
+      const tangent = curve.getTangentAt(progress);
+      const normal = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize().multiplyScalar(this.side);
+      [this.inner, this.outer].forEach((offset) => {
+        const point = centre.clone().addScaledVector(normal, offset);
+        vertices.push(point.x, centre.y + 0.03, point.z);
+      });
+      if (idx < steps) {
+        const base = idx * 2;
+        indices.push(base, base + 2, base + 1, base + 1, base + 2, base + 3);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    const group = new THREE.Group();
+    group.add(
+      new THREE.Mesh(
+        geometry,
+        new THREE.MeshStandardMaterial({ color: "#2b2f36", roughness: 0.9, side: THREE.DoubleSide }),
+      ),
+    );
+
+    const tangent = curve.getTangentAt(this.box);
+    const normal = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+    const box = new THREE.Mesh(
+      new THREE.PlaneGeometry(this.width - 1, BOX_LENGTH),
+      new THREE.MeshStandardMaterial({ color: "#f5c518", transparent: true, opacity: 0.6 }),
+    );
+    box.rotation.x = -Math.PI / 2;
+    box.rotation.z = Math.atan2(tangent.x, tangent.z) + Math.PI;
+    box.position
+      .copy(curve.getPointAt(this.box))
+      .addScaledVector(normal, this.laneOffset)
+      .setY(curve.getPointAt(this.box).y + 0.05);
+    group.add(box);
+    return group;
+  }
+}
+
+export class PitStopSystem {
+  constructor({ pitLane, rules = {}, lapTarget = 3 }) {
+    this.pitLane = pitLane;
+    this.tyreWear = Boolean(rules.tyreWear);
+    this.fuel = Boolean(rules.fuel);
+    this.lapTarget = lapTarget;
+    this.cars = new Map();
+  }
+
+  getState(car) {
+    if (!this.cars.has(car)) {
+      this.cars.set(car, {
+        wear: 0,
+        fuel: 1,
+        stops: 0,
+        inLane: false,
+        servicing: 0,
+        serviced: false,
+        wantsPit: false,
+        plan: [],
+        empty: false,
+        lastPosition: car.position.clone(),
+      });
+    }
+    return this.cars.get(car);
+  }
+
+  getStops(car) {
+    return this.cars.get(car)?.stops ?? 0;
+  }
+
+  getFuelMass(car) {
+    return this.fuel ? (this.cars.get(car)?.fuel ?? 1) * FUEL_MASS : 0;
+  }
+
+  // Spread the stops a tyre or fuel stint forces over the race; bolder
+  // drivers stretch their first stint by a lap, cautious ones pit a lap early.
+  planStrategy(car, aggression = 0.5) {
+    const state = this.getState(car);
+    const lapLength = this.pitLane.length;
+    const fuelLaps = this.fuel ? 0.9 / (lapLength * FUEL_PER_METRE) : Infinity;
+    const tyreLaps = this.tyreWear ? AI_WEAR_LIMIT / (lapLength * TYRE_WEAR_PER_METRE * 1.3) : Infinity;
+    const stint = Math.max(1, Math.floor(Math.min(fuelLaps, tyreLaps)));
+    const stops = Number.isFinite(stint) ? Math.max(0, Math.ceil(this.lapTarget / stint) - 1) : 0;
+    const shift = aggression > 0.7 ? 1 : aggression < 0.4 ? -1 : 0;
+    state.plan = Array.from({ length: stops }, (_, idx) => {
+      const lap = Math.round((this.lapTarget * (idx + 1)) / (stops + 1)) + (idx === 0 ? shift : 0);
+      return THREE.MathUtils.clamp(lap, 1, Math.min(this.lapTarget - 1, stint * (idx + 1)));
+    });
+    return state.plan;
+  }
+
+  completeLap(car, lap, damage = 0) {
+    const state = this.getState(car);
+    const lapsLeft = this.lapTarget - lap;
+    if (lapsLeft <= 0) {
+      state.wantsPit = false;
+      return;
+    }
+    const fuelPerLap = this.pitLane.length * FUEL_PER_METRE;
+    state.wantsPit =
+      state.plan.includes(lap) ||
+      (this.tyreWear && state.wear > AI_EMERGENCY_WEAR && lapsLeft > 1) ||
+      (this.fuel && state.fuel < Math.min(lapsLeft, 1.2) * fuelPerLap) ||
+      damage > AI_DAMAGE_LIMIT;
+  }
+
+  adaptConditions(conditions, car) {
+    if (!this.tyreWear) return conditions;
+    const { wear } = this.getState(car);
+    return { ...conditions, grip: (conditions.grip ?? 1) * (1 - wear * WORN_GRIP_LOSS) };
+  }
+
+  // `mass` already includes the fuel on board; a full tank accelerates and
+  // brakes like a car that much heavier than the empty one.
+  adaptInput(input, car, mass) {
+    const state = this.getState(car);
+    if (state.servicing > 0) {
+      return { ...input, throttle: 0, brake: 1, boost: false };
+    }
+    let { throttle, brake, boost } = input;
+    if (this.fuel) {
+      const ratio = (mass - this.getFuelMass(car)) / mass;
+      throttle = state.fuel > 0 ? throttle * ratio : Math.min(throttle, LIMP_THROTTLE);
+      brake *= ratio;
+      if (state.fuel <= 0) boost = false;
+    }
+    if (state.inLane) {
+      boost = false;
+      const { speedLimit } = this.pitLane;
+      if (car.speed > speedLimit) {
+        throttle = 0;
+        brake = Math.max(brake, Math.min(1, (car.speed - speedLimit) / 5));
+      } else if (car.speed > speedLimit - 2) {
+        throttle = Math.min(throttle, 0.3);
+      }
+    }
+    return { ...input, throttle, brake, boost };
+  }
+
+  getServiceTime(state, damage) {
+    return (
+      SERVICE_TIME +
+      (this.tyreWear && state.wear > 0.05 ? TYRE_CHANGE_TIME : 0) +
+      (this.fuel ? (1 - state.fuel) * REFUEL_TIME : 0) +
+      (damage / 100) * REPAIR_TIME
+    );
+  }
+
+  update(car, dt, input, damage = 0) {
+    const state = this.getState(car);
+    const distance = car.position.distanceTo(state.lastPosition);
+    state.lastPosition.copy(car.position);
+    if (this.tyreWear) {
+      const slip = Math.abs(car.velocity.dot(car.getSideVector()));
+      state.wear = Math.min(1, state.wear + distance * TYRE_WEAR_PER_METRE * (1 + slip * SLIP_WEAR));
+    }
+    if (this.fuel && state.fuel > 0) {
+      const burn = IDLE_FUEL + (1 - IDLE_FUEL) * (input?.throttle ?? 0);
+      state.fuel = Math.max(0, state.fuel - distance * FUEL_PER_METRE * burn);
+    }
+
+    const events = [];
+    if (this.fuel && state.fuel <= 0 && !state.empty) {
+      state.empty = true;
+      events.push({ type: "outOfFuel", car });
+    }
+
+    const inLane = this.pitLane.isInLane(car);
+    if (inLane !== state.inLane) {
+      state.inLane = inLane;
+      if (!inLane) state.serviced = false;
+      events.push({ type: inLane ? "pitEntry" : "pitExit", car, stops: state.stops });
+    }
+
+    if (state.servicing > 0) {
+      state.servicing -= dt;
+      if (state.servicing <= 0) {
+        state.servicing = 0;
+        if (this.tyreWear) state.wear = 0;
+        state.fuel = 1;
+        state.empty = false;
+        state.stops += 1;
+        state.wantsPit = false;
+        events.push({ type: "pitStop", car, stops: state.stops, repaired: damage });
+      }
+    } else if (!state.serviced && car.speed < STOP_SPEED && this.pitLane.isInBox(car)) {
+      state.serviced = true;
+      state.servicing = this.getServiceTime(state, damage);
+      events.push({ type: "pitService", car, duration: state.servicing });
+    }
+    return events;
+  }
+}
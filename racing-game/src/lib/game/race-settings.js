@@ -0,0 +1,92 @@
+import { loadJSON, saveJSON } from "./storage";
+import { ADAPTIVE_STRENGTHS } from "./adaptive-ai";
+import { DEFAULT_POINTS } from "./championship";
+
+const PRESETS_KEY = "race-presets";
+
+export const AI_DIFFICULTIES = {
+  rookie: "Rookie",
+  pro: "Pro",
+  elite: "Elite",
+};
+
+export const BOOST_RULES = {
+  standard: "Standard",
+  unlimited: "Unlimited",
+  off: "Disabled",
+};
+
+export const SETTING_LIMITS = {
+  laps: [1, 20],
+  aiCount: [0, 11],
+  eliminationInterval: [15, 120],
+  points: [0, 100],
+};
+
+// Two players plus the largest AI field.
+export const MAX_FIELD_SIZE = SETTING_LIMITS.aiCount[1] + 2;
+// Points can be awarded down to last place on a full grid.
+export const MAX_SCORING_POSITIONS = MAX_FIELD_SIZE;
+
+export const DEFAULT_RULES = {
+  collisions: true,
+  damage: true,
+  boost: "standard",
+  tyreWear: false,
+  fuel: false,
+};
+
+export function createRaceSettings(modeConfig, overrides = {}) {
+  return sanitizeRaceSettings({
+    laps: modeConfig.laps,
+    aiCount: modeConfig.ai,
+    difficulty: modeConfig.difficulty ?? "pro",
+    adaptiveAI: "off",
+    eliminationInterval: 45,
+    points: modeConfig.points ?? DEFAULT_POINTS,
+    ...DEFAULT_RULES,
+    weatherMode: "static",
+    startTime: 9,
+    timeSpeed: "accelerated",
+    ...overrides,
+  });
+}
+
+function clampSetting(key, value, fallback) {
+  const [min, max] = SETTING_LIMITS[key];
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function sanitizePoints(points) {
+  if (!Array.isArray(points) || points.length === 0) return [...DEFAULT_POINTS];
+  return points
+    .slice(0, MAX_SCORING_POSITIONS)
+    .map((value) => clampSetting("points", value, 0));
+}
+
+export function sanitizeRaceSettings(settings) {
+  return {
+    ...settings,
+    laps: clampSetting("laps", settings.laps, 3),
+    aiCount: clampSetting("aiCount", settings.aiCount, 0),
+    difficulty: AI_DIFFICULTIES[settings.difficulty] ? settings.difficulty : "pro",
+    adaptiveAI: ADAPTIVE_STRENGTHS[settings.adaptiveAI] ? settings.adaptiveAI : "off",
+    eliminationInterval: clampSetting("eliminationInterval", settings.eliminationInterval, 45),
+    points: sanitizePoints(settings.points),
+    collisions: settings.collisions !== false,
+    damage: settings.damage !== false,
+    boost: BOOST_RULES[settings.boost] ? settings.boost : DEFAULT_RULES.boost,
+    tyreWear: settings.tyreWear === true,
+    fuel: settings.fuel === true,
+  };
+}
+
+export function loadRacePresets() {
+  const presets = loadJSON(PRESETS_KEY, {});
+  return presets && typeof presets === "object" && !Array.isArray(presets) ? presets : {};
+}
+
+export function saveRacePresets(presets) {
+  saveJSON(PRESETS_KEY, presets);
+}
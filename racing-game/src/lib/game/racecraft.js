@@ -0,0 +1,240 @@
+import * as THREE from "three";
+import { getRacingLine } from "./racing-line";
+
+export const PERSONALITIES = {
+  charger: { label: "Charger", pace: 1, lateBraking: 0.9, aggression: 0.9, defence: 0.4, patience: 0.6 },
+  tactician: { label: "Tactician", pace: 0.98, lateBraking: 0.6, aggression: 0.6, defence: 0.7, patience: 1.3 },
+  blocker: { label: "Blocker", pace: 0.96, lateBraking: 0.5, aggression: 0.4, defence: 1, patience: 1.1 },
+  smooth: { label: "Smooth", pace: 0.99, lateBraking: 0.3, aggression: 0.3, defence: 0.3, patience: 1.8 },
+  opportunist: { label: "Opportunist", pace: 0.97, lateBraking: 0.7, aggression: 0.75, defence: 0.5, patience: 0.9 },
+};
+
+const DIFFICULTY_PACE = { rookie: 0.86, pro: 0.93, elite: 0.98 };
+
+const CAR_WIDTH = 2.4;
+const CAR_LENGTH = 4.6;
+const PASS_CLEARANCE = 0.8;
+const LOOKAHEAD_DISTANCE = 8;
+const LOOKAHEAD_TIME = 0.55;
+const STEER_GAIN = 2.2;
+const OVERTAKE_RANGE = 35;
+const DEFEND_RANGE = 18;
+const CORNER_SCAN = 60;
+const SHIFT_RATE = 3.5;
+const STUCK_SPEED = 1.5;
+const STUCK_TIME = 2;
+const RECOVERY_TIME = 2;
+const BOOST_MIN_GAIN = 2;
+const BOOST_ATTACK_RESERVE = 0.05;
+const PIT_APPROACH = 120;
+const PIT_DECEL = 6;
+const FOLLOW_DECEL = 8;
+const PACE_SPREAD = 0.02;
+
+const wrap = (progress) => ((progress % 1) + 1) % 1;
+
+const up = new THREE.Vector3(0, 1, 0);
+const forward = new THREE.Vector3();
+const right = new THREE.Vector3();
+const toTarget = new THREE.Vector3();
+
+export class RacecraftDriver {
+  // Only the base driver's name is used; every input comes from this class and
+  // `random`, so races with the same session seed play out the same way.
+  constructor(driver, { personality = "tactician", skill = "pro", random = Math.random } = {}) {
+    this.driver = driver;
+    this.name = driver.name;
+    this.personalityKey = PERSONALITIES[personality] ? personality : "tactician";
+    this.personality = PERSONALITIES[this.personalityKey];
+    this.pace =
+      (DIFFICULTY_PACE[skill] ?? DIFFICULTY_PACE.pro) *
+      this.personality.pace *
+      (1 + (random() - 0.5) * PACE_SPREAD);
+    this.shift = 0;
+    this.plan = null;
+    this.defence = null;
+    this.stuckTime = 0;
+    this.recovering = 0;
+  }
+
+  // Finished and eliminated cars stay in the scan: they still collide, and an
+  // eliminated wreck is left sitting on the racing line.
+  scanRivals(car, line, opponents) {
+    const { length } = line;
+    return opponents
+      .filter((other) => other !== car)
+      .map((other) => {
+        let gap = (other.progress - car.progress) * length;
+        if (gap > length / 2) gap -= length;
+        if (gap < -length / 2) gap += length;
+        return {
+          car: other,
+          gap,
+          offset: line.lateralOffset(other.position, other.progress),
+          closing: car.speed - other.speed,
+        };
+      });
+  }
+
+  planOvertake(ahead, ownOffset, line, roadLimit) {
+    if (!ahead || ahead.closing < -1 || Math.abs(ahead.offset - ownOffset) > CAR_WIDTH * 2) {
+      this.plan = null;
+      return null;
+    }
+    if (this.plan?.car !== ahead.car) {
+      const room = (side) => (side > 0 ? roadLimit - ahead.offset : ahead.offset + roadLimit);
+      const inside = line.turnAt(ahead.car.progress + CORNER_SCAN / line.length);
+      let side = inside !== 0 && this.personality.aggression > 0.5 ? inside : 0;
+      if (!side) side = room(1) > room(-1) ? 1 : -1;
+      if (room(side) < CAR_WIDTH + PASS_CLEARANCE) side = -side;
+      if (room(side) < CAR_WIDTH + PASS_CLEARANCE) {
+        this.plan = null;
+        return null;
+      }
+      this.plan = { car: ahead.car, side };
+    }
+    return ahead.offset + this.plan.side * (CAR_WIDTH + PASS_CLEARANCE);
+  }
+
+  planDefence(behind, ownOffset, line, roadLimit) {
+    if (!behind || behind.closing > 0 || this.personality.defence < 0.5) {
+      this.defence = null;
+      return null;
+    }
+    // One move per attacker: pick a side once and hold it.
+    if (this.defence?.car !== behind.car) {
+      const inside = line.turnAt(behind.car.progress + CORNER_SCAN / line.length);
+      const side = inside || Math.sign(behind.offset - ownOffset) || 1;
+      this.defence = { car: behind.car, side };
+    }
+    return this.defence.side * roadLimit * 0.5 * this.personality.defence;
+  }
+
+  // Back out with opposite lock so the nose swings towards the racing line.
+  recover(car, line) {
+    forward.copy(car.getForwardVector()).setY(0).normalize();
+    right.crossVectors(forward, up);
+    const progress = car.progress + LOOKAHEAD_DISTANCE / line.length;
+    toTarget.copy(line.getTarget(progress, line.offsetAt(progress))).sub(car.position).setY(0);
+    const side = Math.sign(toTarget.dot(right)) || 1;
+    return { throttle: 0, brake: 1, steer: -side, handbrake: 0, boost: false };
+  }
+
+  update(car, track, dt, context = {}) {
+    const line = getRacingLine(track);
+    if (this.recovering > 0) {
+      this.recovering -= dt;
+      return this.recover(car, line);
+    }
+    const stopped = car.speed < STUCK_SPEED && car.distanceTravelled > 0 && !context.pit?.wanted;
+    this.stuckTime = stopped ? this.stuckTime + dt : 0;
+    if (this.stuckTime > STUCK_TIME) {
+      this.stuckTime = 0;
+      this.recovering = RECOVERY_TIME;
+      return this.recover(car, line);
+    }
+
+    const { opponents = [], grip = 1, boost: energy, pit } = context;
+    const { personality } = this;
+    const roadLimit = line.halfWidth - CAR_WIDTH / 2 - 0.5;
+    const ownOffset = line.lateralOffset(car.position, car.progress);
+    const rivals = this.scanRivals(car, line, opponents);
+    const ahead = rivals
+      .filter(({ gap }) => gap > 0 && gap < OVERTAKE_RANGE)
+      .sort((a, b) => a.gap - b.gap)[0];
+    const behind = rivals
+      .filter(({ gap }) => gap < 0 && gap > -DEFEND_RANGE)
+      .sort((a, b) => b.gap - a.gap)[0];
+
+    const lookProgress = car.progress + (LOOKAHEAD_DISTANCE + car.speed * LOOKAHEAD_TIME) / line.length;
+    const lineOffset = line.offsetAt(lookProgress);
+    const pitting =
+      pit &&
+      (pit.lane.isInLane(car) ||
+        (pit.wanted && pit.lane.contains(car.progress, PIT_APPROACH / pit.lane.length)));
+    if (pitting) {
+      this.plan = null;
+      this.defence = null;
+    }
+    const tactical = pitting
+      ? null
+      : this.planOvertake(ahead, ownOffset, line, roadLimit) ??
+        this.planDefence(behind, ownOffset, line, roadLimit);
+    const wantedShift = tactical === null ? 0 : tactical - lineOffset;
+    const maxStep = SHIFT_RATE * dt;
+    this.shift += THREE.MathUtils.clamp(wantedShift - this.shift, -maxStep, maxStep);
+    const aimOffset = pitting
+      ? pit.lane.laneOffset
+      : THREE.MathUtils.clamp(lineOffset + this.shift, -roadLimit, roadLimit);
+
+    forward.copy(car.getForwardVector()).setY(0).normalize();
+    right.crossVectors(forward, up);
+    toTarget.copy(line.getTarget(lookProgress, aimOffset)).sub(car.position).setY(0);
+    const angle = Math.atan2(toTarget.dot(right), toTarget.dot(forward));
+    const steer = THREE.MathUtils.clamp(angle * STEER_GAIN, -1, 1);
+
+    // Late brakers hold on until the racing line's braking point; cautious
+    // drivers start slowing for it from further out.
+    const brakeLook = car.speed * 0.35 * (1.3 - 0.6 * personality.lateBraking);
+    const brakingPoint = line.nextBrakingPoint(car.progress);
+    const toBrakingPoint =
+      brakingPoint === null ? Infinity : wrap(brakingPoint - car.progress) * line.length;
+    const anticipation = toBrakingPoint < brakeLook ? toBrakingPoint + brakeLook : 0;
+    let targetSpeed =
+      Math.min(line.speedAt(car.progress), line.speedAt(car.progress + anticipation / line.length)) *
+      Math.sqrt(grip) *
+      this.pace;
+    if (this.plan) targetSpeed *= 0.97;
+    if (pitting) {
+      targetSpeed = Math.min(targetSpeed, pit.lane.speedLimit - 1);
+      const toBox = pit.lane.distanceToBox(car.progress);
+      if (pit.wanted && toBox < pit.lane.length / 2) {
+        targetSpeed = Math.min(targetSpeed, Math.sqrt(2 * PIT_DECEL * Math.max(0, toBox - 2)));
+      }
+    }
+
+    // Hold station behind a car we cannot get past instead of running into it,
+    // starting early enough to stop for a much slower car or a wreck.
+    if (ahead && Math.abs(ahead.offset - ownOffset) < CAR_WIDTH) {
+      const closing = Math.max(0, ahead.closing);
+      const followGap =
+        CAR_LENGTH + car.speed * 0.25 * personality.patience + closing ** 2 / (2 * FOLLOW_DECEL);
+      if (ahead.gap < followGap) {
+        targetSpeed = Math.min(targetSpeed, ahead.car.speed - (followGap - ahead.gap) * 0.5);
+      }
+    }
+
+    const error = targetSpeed - car.speed;
+    const throttle = error > 0 ? THREE.MathUtils.clamp(error / 4 + 0.3, 0, 1) : 0;
+    const brake = error < -1 ? THREE.MathUtils.clamp(-error / 6, 0, 1) : 0;
+
+    // Spend energy on straights above a personal reserve; dip into the
+    // reserve only to complete a pass or hold off a faster car.
+    let boost = false;
+    if (energy !== undefined) {
+      const reserve = 0.6 - 0.4 * personality.aggression;
+      const battling = this.plan || this.defence;
+      boost =
+        brake === 0 &&
+        Math.abs(steer) < 0.25 &&
+        error > BOOST_MIN_GAIN &&
+        energy > (battling ? BOOST_ATTACK_RESERVE : reserve);
+    }
+
+    return {
+      throttle,
+      brake,
+      steer,
+      handbrake: 0,
+      boost,
+    };
+  }
+}
+
+export function createRacecraftDrivers(drivers, skill, random) {
+  const keys = Object.keys(PERSONALITIES);
+  return drivers.map(
+    (driver, idx) =>
+      new RacecraftDriver(driver, { personality: keys[idx % keys.length], skill, random }),
+  );
+}
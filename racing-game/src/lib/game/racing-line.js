@@ -0,0 +1,162 @@
+import * as THREE from "three";
+import { getRoadHalfWidth } from "./checkpoints";
+
+const SAMPLE_COUNT = 400;
+const SMOOTHING_PASSES = 300;
+const EDGE_MARGIN = 2;
+const LATERAL_ACCEL = 13;
+const BRAKE_DECEL = 15;
+const TOP_SPEED = 90;
+const BRAKE_THRESHOLD = 2;
+
+const lines = new WeakMap();
+
+function curvatureRadius(prev, point, next) {
+  const ab = Math.hypot(point.x - prev.x, point.z - prev.z);
+  const bc = Math.hypot(next.x - point.x, next.z - point.z);
+  const ca = Math.hypot(prev.x - next.x, prev.z - next.z);
+  const cross = (point.x - prev.x) * (next.z - prev.z) - (point.z - prev.z) * (next.x - prev.x);
+  if (Math.abs(cross) < 1e-6) return { radius: Infinity, turn: 0 };
+  return { radius: (ab * bc * ca) / (2 * Math.abs(cross)), turn: Math.sign(cross) };
+}
+
+export class RacingLine {
+  constructor(track) {
+    const { curve } = track;
+    this.length = curve.getLength();
+    this.halfWidth = getRoadHalfWidth(track);
+    this.spacing = this.length / SAMPLE_COUNT;
+
+    this.centres = [];
+    this.normals = [];
+    for (let idx = 0; idx < SAMPLE_COUNT; idx += 1) {
+      const progress = idx / SAMPLE_COUNT;
+      const tangent = curve.getTangentAt(progress);
+      this.centres.push(curve.getPointAt(progress));
+      this.normals.push(new THREE.Vector3(-tangent.z, 0, tangent.x).normalize());
+    }
+
+    // Pull a rubber band through the corridor: every point moves towards the
+    // midpoint of its neighbours, which converges on a minimum-curvature line.
+    const limit = Math.max(0, this.halfWidth - EDGE_MARGIN);
+    const offsets = new Array(SAMPLE_COUNT).fill(0);
+    const at = (idx) => {
+      const wrapped = (idx + SAMPLE_COUNT) % SAMPLE_COUNT;
+      const centre = this.centres[wrapped];
+      const normal = this.normals[wrapped];
+      return {
+        x: centre.x + normal.x * offsets[wrapped],
+        z: centre.z + normal.z * offsets[wrapped],
+      };
+    };
+    for (let pass = 0; pass < SMOOTHING_PASSES; pass += 1) {
+      for (let idx = 0; idx < SAMPLE_COUNT; idx += 1) {
+        const prev = at(idx - 1);
+        const next = at(idx + 1);
+        const centre = this.centres[idx];
+        const normal = this.normals[idx];
+        const shift =
+          ((prev.x + next.x) / 2 - centre.x) * normal.x + ((prev.z + next.z) / 2 - centre.z) * normal.z;
+        offsets[idx] = THREE.MathUtils.clamp(shift, -limit, limit);
+      }
+    }
+    this.offsets = offsets;
+    this.points = offsets.map((_, idx) => at(idx));
+
+    const reach = Math.max(1, Math.round(8 / this.spacing));
+    this.turns = [];
+    const cornerSpeeds = this.points.map((point, idx) => {
+      const { radius, turn } = curvatureRadius(at(idx - reach), point, at(idx + reach));
+      this.turns.push(turn);
+      return Math.min(TOP_SPEED, Math.sqrt(LATERAL_ACCEL * radius));
+    });
+
+    // Two backward passes so braking zones wrap across the start line.
+    const speeds = [...cornerSpeeds];
+    for (let pass = 0; pass < 2; pass += 1) {
+      for (let idx = SAMPLE_COUNT - 1; idx >= 0; idx -= 1) {
+        const next = speeds[(idx + 1) % SAMPLE_COUNT];
+        speeds[idx] = Math.min(speeds[idx], Math.sqrt(next * next + 2 * BRAKE_DECEL * this.spacing));
+      }
+    }
+    this.speeds = speeds;
+    this.cornerSpeeds = cornerSpeeds;
+    this.brakingPoints = speeds
+      .map((speed, idx) => ({ speed, idx }))
+      .filter(
+        ({ speed, idx }) =>
+          speed < cornerSpeeds[idx] - BRAKE_THRESHOLD &&
+          speeds[(idx - 1 + SAMPLE_COUNT) % SAMPLE_COUNT] >=
+            cornerSpeeds[(idx - 1 + SAMPLE_COUNT) % SAMPLE_COUNT] - BRAKE_THRESHOLD,
+      )
+      .map(({ idx }) => idx / SAMPLE_COUNT);
+  }
+
+  index(progress) {
+    const wrapped = ((progress % 1) + 1) % 1;
+    return Math.floor(wrapped * SAMPLE_COUNT) % SAMPLE_COUNT;
+  }
+
+  offsetAt(progress) {
+    return this.offsets[this.index(progress)];
+  }
+
+  speedAt(progress) {
+    return this.speeds[this.index(progress)];
+  }
+
+  // +1 for a right-hand corner, -1 for a left-hander, 0 on the straight.
+  turnAt(progress) {
+    const idx = this.index(progress);
+    return this.cornerSpeeds[idx] < TOP_SPEED ? this.turns[idx] : 0;
+  }
+
+  getTarget(progress, offset = this.offsetAt(progress)) {
+    const idx = this.index(progress);
+    return this.centres[idx].clone().addScaledVector(this.normals[idx], offset);
+  }
+
+  lateralOffset(position, progress) {
+    const idx = this.index(progress);
+    const centre = this.centres[idx];
+    const normal = this.normals[idx];
+    return (position.x - centre.x) * normal.x + (position.z - centre.z) * normal.z;
+  }
+
+  // Runs of straight road as lap fractions plus their length in metres,
+  // longest first. Each run ends on the first sample of the next corner.
+  getStraights() {
+    const straight = this.cornerSpeeds.map((speed) => speed >= TOP_SPEED);
+    const first = straight.indexOf(false);
+    if (first < 0) return [];
+    const runs = [];
+    let run = null;
+    for (let step = 1; step <= SAMPLE_COUNT; step += 1) {
+      const idx = (first + step) % SAMPLE_COUNT;
+      if (straight[idx]) {
+        run = run ?? { from: idx, count: 0 };
+        run.count += 1;
+      } else if (run) {
+        runs.push(run);
+        run = null;
+      }
+    }
+    return runs
+      .map(({ from, count }) => ({
+        start: from / SAMPLE_COUNT,
+        end: ((from + count) % SAMPLE_COUNT) / SAMPLE_COUNT,
+        length: count * this.spacing,
+      }))
+      .sort((a, b) => b.length - a.length);
+  }
+
+  nextBrakingPoint(progress) {
+    const wrapped = ((progress % 1) + 1) % 1;
+    return this.brakingPoints.find((point) => point > wrapped) ?? this.brakingPoints[0] ?? null;
+  }
+}
+
+export function getRacingLine(track) {
+  if (!lines.has(track)) lines.set(track, new RacingLine(track));
+  return lines.get(track);
+}
@@ -0,0 +1,22 @@
+import { loadJSON, saveJSON } from "./storage";
+
+export const LEADERBOARD_SIZE = 5;
+
+function recordsKey(trackConfig) {
+  return `records:${trackConfig.id ?? trackConfig.name}`;
+}
+
+export function loadTrackRecords(trackConfig) {
+  const records = loadJSON(recordsKey(trackConfig), []);
+  return Array.isArray(records) ? records.filter((record) => Number.isFinite(record?.time)) : [];
+}
+
+export function submitLapRecord(trackConfig, { time, name, preset, upgrade, mode }) {
+  if (!Number.isFinite(time) || time <= 0) return 0;
+  const records = loadTrackRecords(trackConfig);
+  const record = { time, name, preset, upgrade, mode, setAt: new Date().toISOString() };
+  const ranked = [...records, record].sort((a, b) => a.time - b.time).slice(0, LEADERBOARD_SIZE);
+  const rank = ranked.indexOf(record) + 1;
+  if (rank > 0) saveJSON(recordsKey(trackConfig), ranked);
+  return rank;
+}
@@ -0,0 +1,123 @@
+import { FRAME_STRIDE } from "./replay";
+
+export const REPLAY_FORMAT = "velocity-apex-replay";
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXTENSION = ".vareplay.json";
+
+const TIME_SCALE = 1000;
+const CHANNEL_SCALES = [100, 100, 100, 10000, 10000, 10000, 10000, 1000, 1000, 100];
+
+export class ReplayFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayFileError";
+  }
+}
+
+function deltaEncode(values, scale) {
+  let previous = 0;
+  return values.map((value) => {
+    const quantized = Math.round(value * scale);
+    const delta = quantized - previous;
+    previous = quantized;
+    return delta;
+  });
+}
+
+function deltaDecode(deltas, scale) {
+  let current = 0;
+  return deltas.map((delta) => {
+    current += delta;
+    return current / scale;
+  });
+}
+
+export function encodeReplay({ track, cars, frames, events = [] }) {
+  const carCount = cars.length;
+  const channels = [];
+  for (let car = 0; car < carCount; car += 1) {
+    for (let channel = 0; channel < FRAME_STRIDE; channel += 1) {
+      const offset = car * FRAME_STRIDE + channel;
+      channels.push(
+        deltaEncode(
+          frames.map(({ states }) => states[offset] ?? 0),
+          CHANNEL_SCALES[channel],
+        ),
+      );
+    }
+  }
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    createdAt: new Date().toISOString(),
+    track: { id: track.id ?? track.name, name: track.name },
+    cars: cars.map(({ name, color, preset, upgrade, tuning }) => ({
+      name,
+      color,
+      preset,
+      upgrade,
+      ...(tuning && { tuning }),
+    })),
+    stride: FRAME_STRIDE,
+    frameCount: frames.length,
+    times: deltaEncode(
+      frames.map(({ time }) => time),
+      TIME_SCALE,
+    ),
+    channels,
+    events: events.map(({ time, type, car, detail }) => ({ time, type, car, detail })),
+  };
+}
+
+export function decodeReplay(text) {
+  let data;
+  try {
+    data = typeof text === "string" ? JSON.parse(text) : text;
+  } catch {
+    throw new ReplayFileError("This file is not valid JSON.");
+  }
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new ReplayFileError("This file is not a Velocity Apex replay.");
+  }
+  if (!Number.isInteger(data.version) || data.version > REPLAY_VERSION || data.version < 1) {
+    throw new ReplayFileError(
+      `Replay version ${data.version} is not supported by this game (supports up to version ${REPLAY_VERSION}).`,
+    );
+  }
+  if (data.stride !== FRAME_STRIDE) {
+    throw new ReplayFileError(`Replay uses ${data.stride} channels per car, expected ${FRAME_STRIDE}.`);
+  }
+  if (!data.track?.id || !Array.isArray(data.cars) || data.cars.length === 0) {
+    throw new ReplayFileError("Replay is missing its track or car list.");
+  }
+  const { frameCount } = data;
+  if (!Number.isInteger(frameCount) || frameCount < 2 || data.times?.length !== frameCount) {
+    throw new ReplayFileError("Replay has no usable frames.");
+  }
+  if (
+    !Array.isArray(data.channels) ||
+    data.channels.length !== data.cars.length * FRAME_STRIDE ||
+    [data.times, ...data.channels].some(
+      (channel) =>
+        !Array.isArray(channel) ||
+        channel.length !== frameCount ||
+        !channel.every(Number.isInteger),
+    )
+  ) {
+    throw new ReplayFileError("Replay frame data is truncated or corrupted.");
+  }
+
+  const times = deltaDecode(data.times, TIME_SCALE);
+  const channels = data.channels.map((channel, idx) =>
+    deltaDecode(channel, CHANNEL_SCALES[idx % FRAME_STRIDE]),
+  );
+  const rows = times.map((time, frame) => [time, ...channels.map((channel) => channel[frame])]);
+
+  return {
+    version: data.version,
+    track: data.track,
+    cars: data.cars,
+    rows,
+    events: Array.isArray(data.events) ? data.events : [],
+  };
+}
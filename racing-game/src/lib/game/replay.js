@@ -0,0 +1,182 @@
+import * as THREE from "three";
+
+export const FRAME_STRIDE = 10;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const positionA = new THREE.Vector3();
+const positionB = new THREE.Vector3();
+const rotationA = new THREE.Quaternion();
+const rotationB = new THREE.Quaternion();
+
+function captureCar(car, target, offset) {
+  const forward = car.getForwardVector();
+  const { quaternion } = car.mesh;
+  target[offset] = car.position.x;
+  target[offset + 1] = car.position.y;
+  target[offset + 2] = car.position.z;
+  target[offset + 3] = quaternion.x;
+  target[offset + 4] = quaternion.y;
+  target[offset + 5] = quaternion.z;
+  target[offset + 6] = quaternion.w;
+  target[offset + 7] = forward.x;
+  target[offset + 8] = forward.z;
+  target[offset + 9] = car.speed;
+}
+
+const DEFAULT_FORWARD = new THREE.Vector3(0, 0, 1);
+
+// Records one frame of every car per race tick; ReplayPlayer plays a
+// recorder's frames back.
+export class ReplayRecorder {
+  constructor() {
+    this.frames = [];
+    this.recording = false;
+  }
+
+  get duration() {
+    if (this.frames.length < 2) return 0;
+    return this.frames[this.frames.length - 1].time - this.frames[0].time;
+  }
+
+  start() {
+    this.frames = [];
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  record(time, cars) {
+    if (!this.recording) return;
+    const last = this.frames[this.frames.length - 1];
+    if (last && time <= last.time) return;
+    const states = new Float32Array(cars.length * FRAME_STRIDE);
+    cars.forEach((car, idx) => captureCar(car, states, idx * FRAME_STRIDE));
+    this.frames.push({ time, states });
+  }
+
+  exportFrames() {
+    return this.frames.map(({ time, states }) => [time, ...states]);
+  }
+
+  loadFrames(rows) {
+    this.stop();
+    this.frames = (Array.isArray(rows) ? rows : [])
+      .filter((row) => Array.isArray(row) && row.length > 1)
+      .map(([time, ...states]) => ({ time, states: Float32Array.from(states) }));
+    return this.frames.length > 1;
+  }
+}
+
+export class ReplayPlayer {
+  constructor(recorder) {
+    this.recorder = recorder;
+    this.playing = false;
+    this.speed = 1;
+    this.time = 0;
+    this.cursor = 0;
+    this.forwards = [];
+  }
+
+  get duration() {
+    return this.recorder.duration;
+  }
+
+  start(speed = 1) {
+    this.seek(0);
+    return this.play(speed);
+  }
+
+  play(speed = this.speed) {
+    if (this.recorder.frames.length < 2) return false;
+    this.recorder.stop();
+    this.speed = speed;
+    if (this.time >= this.duration) this.time = 0;
+    this.playing = true;
+    return true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  stop() {
+    this.playing = false;
+    this.time = 0;
+    this.cursor = 0;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  seek(time) {
+    this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+    this.cursor = 0;
+  }
+
+  step(dt, cars) {
+    if (this.recorder.frames.length < 2) return null;
+    if (this.playing) {
+      this.time += dt * this.speed;
+      if (this.time >= this.duration) {
+        this.time = this.duration;
+        this.playing = false;
+      }
+    }
+    this.apply(cars);
+    return this.time;
+  }
+
+  findFrame(absolute) {
+    const { frames } = this.recorder;
+    if (frames[this.cursor]?.time > absolute) this.cursor = 0;
+    while (this.cursor < frames.length - 2 && frames[this.cursor + 1].time <= absolute) {
+      this.cursor += 1;
+    }
+    return this.cursor;
+  }
+
+  apply(cars) {
+    const { frames } = this.recorder;
+    const absolute = frames[0].time + this.time;
+    const index = this.findFrame(absolute);
+    const from = frames[index];
+    const to = frames[index + 1];
+    const alpha = THREE.MathUtils.clamp(
+      (absolute - from.time) / Math.max(to.time - from.time, 1e-6),
+      0,
+      1,
+    );
+    cars.forEach((car, idx) => {
+      const offset = idx * FRAME_STRIDE;
+      if (offset >= from.states.length || offset >= to.states.length) return;
+      const a = from.states;
+      const b = to.states;
+      positionA.set(a[offset], a[offset + 1], a[offset + 2]);
+      positionB.set(b[offset], b[offset + 1], b[offset + 2]);
+      positionA.lerp(positionB, alpha);
+      rotationA.set(a[offset + 3], a[offset + 4], a[offset + 5], a[offset + 6]);
+      rotationB.set(b[offset + 3], b[offset + 4], b[offset + 5], b[offset + 6]);
+      rotationA.slerp(rotationB, alpha);
+      car.position.copy(positionA);
+      car.mesh.position.copy(positionA);
+      car.mesh.quaternion.copy(rotationA);
+      car.speed = THREE.MathUtils.lerp(a[offset + 9], b[offset + 9], alpha);
+      this.forwards[idx] ??= new THREE.Vector3();
+      this.forwards[idx]
+        .set(
+          THREE.MathUtils.lerp(a[offset + 7], b[offset + 7], alpha),
+          0,
+          THREE.MathUtils.lerp(a[offset + 8], b[offset + 8], alpha),
+        )
+        .normalize();
+    });
+  }
+
+  // The returned vector is reused every frame; clone it to keep it.
+  getForward(index) {
+    return this.forwards[index] ?? DEFAULT_FORWARD;
+  }
+}
@@ -0,0 +1,121 @@
+import { getRacingLine } from "./racing-line";
+
+export const DEFAULT_SECTORS = [1 / 3, 2 / 3];
+const MAX_SECTOR_SHIFT = 0.12;
+
+const lapDistance = (a, b) => Math.abs((((a - b) % 1) + 1.5) % 1 - 0.5);
+
+// Tracks without sectors of their own time each third of the lap, with every
+// line moved to the middle of the nearest straight when one is close enough.
+function deriveSectors(track) {
+  const middles = getRacingLine(track)
+    .getStraights()
+    .map(({ start, end }) => (start + ((((end - start) % 1) + 1) % 1) / 2) % 1);
+  return DEFAULT_SECTORS.map((target) => {
+    const nearest = middles.reduce(
+      (best, middle) =>
+        best === null || lapDistance(middle, target) < lapDistance(best, target) ? middle : best,
+      null,
+    );
+    return nearest !== null && lapDistance(nearest, target) <= MAX_SECTOR_SHIFT
+      ? Number(nearest.toFixed(4))
+      : target;
+  });
+}
+
+export function getSectorBoundaries(track) {
+  const boundaries = (track.config?.sectors ?? deriveSectors(track))
+    .filter((value) => Number.isFinite(value) && value > 0 && value < 1)
+    .sort((a, b) => a - b);
+  return boundaries.length ? boundaries : DEFAULT_SECTORS;
+}
+
+function rateSector(time, personalBest, sessionBest) {
+  if (time < sessionBest) return "purple";
+  if (time < personalBest) return "green";
+  return "yellow";
+}
+
+export class SectorTimer {
+  constructor(boundaries = DEFAULT_SECTORS) {
+    this.boundaries = boundaries;
+    this.count = boundaries.length + 1;
+    this.sessionBest = new Array(this.count).fill(Infinity);
+    this.cars = new Map();
+  }
+
+  getState(car) {
+    if (!this.cars.has(car)) {
+      this.cars.set(car, {
+        index: 0,
+        sectorStart: 0,
+        best: new Array(this.count).fill(Infinity),
+        lap: new Array(this.count).fill(Infinity),
+        display: new Array(this.count).fill(null),
+      });
+    }
+    return this.cars.get(car);
+  }
+
+  update(car, prevProgress, lapTime) {
+    const state = this.getState(car);
+    const boundary = this.boundaries[state.index];
+    if (boundary === undefined) return null;
+    const moved = car.progress - prevProgress;
+    if (moved <= 0 || moved > 0.5) return null;
+    if (prevProgress < boundary && car.progress >= boundary) {
+      return this.completeSector(car, state, lapTime);
+    }
+    return null;
+  }
+
+  // Sector times only become personal and session bests once the lap they
+  // belong to finishes valid.
+  completeLap(car, lapTime, valid = true) {
+    const state = this.getState(car);
+    const result =
+      state.index === this.boundaries.length
+        ? this.completeSector(car, state, lapTime)
+        : null;
+    if (valid) {
+      state.lap.forEach((time, sector) => {
+        state.best[sector] = Math.min(state.best[sector], time);
+        this.sessionBest[sector] = Math.min(this.sessionBest[sector], time);
+      });
+    }
+    state.lap.fill(Infinity);
+    state.index = 0;
+    state.sectorStart = 0;
+    return result;
+  }
+
+  completeSector(car, state, lapTime) {
+    const sector = state.index;
+    const time = lapTime - state.sectorStart;
+    const personalBest = state.best[sector];
+    const sessionBest = this.sessionBest[sector];
+    const rating = rateSector(time, personalBest, sessionBest);
+    const result = {
+      car,
+      sector,
+      time,
+      rating,
+      deltaPersonal: Number.isFinite(personalBest) ? time - personalBest : null,
+      deltaSession: Number.isFinite(sessionBest) ? time - sessionBest : null,
+    };
+    state.lap[sector] = time;
+    if (sector === 0) state.display.fill(null);
+    state.display[sector] = result;
+    state.index += 1;
+    state.sectorStart = lapTime;
+    return result;
+  }
+
+  getDisplay(car) {
+    return this.getState(car).display;
+  }
+
+  getTheoreticalBest(car) {
+    return this.getState(car).best.reduce((sum, time) => sum + time, 0);
+  }
+}
@@ -0,0 +1,405 @@
+import { createRng } from "./random";
+import { SectorTimer, getSectorBoundaries } from "./sectors";
+import { LapValidator } from "./checkpoints";
+import { quantizeInput } from "./input-replay";
+import { WeatherSystem } from "./weather";
+import { DEFAULT_RULES } from "./race-settings";
+import { AdaptiveDifficulty } from "./adaptive-ai";
+import { CollisionSystem, DEFAULT_MASS, MAX_DAMAGE } from "./collisions";
+import { BoostSystem } from "./boost";
+import { PitLane, PitStopSystem } from "./pit-stops";
+
+export const FIXED_STEP = 1 / 120;
+const MAX_STEPS_PER_UPDATE = 12;
+const IMPACT_SPEED_LOSS = 1.5;
+const IMPACT_DAMAGE = 2;
+
+export const IDLE_INPUT = Object.freeze({
+  throttle: 0,
+  brake: 0,
+  steer: 0,
+  handbrake: 0,
+  boost: false,
+});
+
+export class RaceSession {
+  constructor({
+    track,
+    mode,
+    lapTarget,
+    stage = 0,
+    countdown = 3,
+    eliminationInterval = 45,
+    seed = 1,
+    step = FIXED_STEP,
+    weather = {},
+    rules = {},
+    adaptive = "off",
+  }) {
+    this.track = track;
+    this.step = step;
+    this.countdownLength = countdown;
+    this.seed = seed >>> 0;
+    this.random = createRng(this.seed);
+    this.weather = new WeatherSystem({
+      track,
+      mode: weather.mode,
+      schedule: weather.schedule,
+      seed: this.seed ^ 0x5eed,
+    });
+    this.adaptive = new AdaptiveDifficulty({
+      strength: adaptive,
+      trackLength: track.curve.getLength(),
+      seed: this.seed ^ 0xada9,
+    });
+    this.pitLane = new PitLane(track);
+    this.collisions = new CollisionSystem(track, { pitLane: this.pitLane });
+    this.sectors = new SectorTimer(getSectorBoundaries(track));
+    this.validator = new LapValidator(track, {
+      invalidateLaps: mode === "time-trial",
+      pitLane: this.pitLane,
+    });
+    this.finishTimes = new Map();
+    this.entries = [];
+    this.cars = [];
+    this.leaderboard = [];
+    this.listeners = new Map();
+    this.accumulator = 0;
+    this.tick = 0;
+    this.race = {
+      mode,
+      status: "countdown",
+      lapTarget,
+      countdown,
+      elapsed: 0,
+      stage,
+      eliminationInterval,
+      eliminationTimer: eliminationInterval,
+      eliminated: [],
+      podium: [],
+      rules: { ...DEFAULT_RULES, ...rules },
+    };
+    this.boost = new BoostSystem({ rule: this.race.rules.boost });
+    this.on("sector", ({ car }) => this.boost.completeSector(car));
+    this.on("impact", ({ car }) => this.boost.markIncident(car));
+    this.on("trackLimits", ({ car }) => this.boost.markIncident(car));
+    this.pits = new PitStopSystem({ pitLane: this.pitLane, rules: this.race.rules, lapTarget });
+    this.on("lap", ({ car, lap }) => {
+      if (this.getEntry(car)?.kind === "ai") {
+        this.pits.completeLap(car, lap, this.collisions.getDamage(car));
+      }
+    });
+  }
+
+  on(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type)?.delete(handler);
+  }
+
+  emit(type, payload) {
+    this.listeners.get(type)?.forEach((handler) => handler(payload));
+  }
+
+  addPlayer(id, car, readInput, { mass = DEFAULT_MASS } = {}) {
+    return this.addEntry({ id, kind: "player", car, readInput, mass });
+  }
+
+  addAI(driver, car, { mass = DEFAULT_MASS } = {}) {
+    const entry = this.addEntry({ id: driver.name, kind: "ai", car, driver, mass });
+    this.pits.planStrategy(car, driver.personality?.aggression);
+    return entry;
+  }
+
+  addEntry(entry) {
+    const spawn = this.track.getSpawnPoint(this.entries.length);
+    entry.car.reset(spawn.position, spawn.yaw);
+    this.entries.push(entry);
+    this.cars.push(entry.car);
+    return entry;
+  }
+
+  getEntry(car) {
+    return this.entries.find((entry) => entry.car === car);
+  }
+
+  getMass(car) {
+    return (this.getEntry(car)?.mass ?? DEFAULT_MASS) + this.pits.getFuelMass(car);
+  }
+
+  // Race damage lives in CollisionSystem, which feeds it back through
+  // adaptInput(), so pit stops can repair it.
+  damageCar(car, amount, point) {
+    if (!this.race.rules.damage || amount <= 0) return;
+    const side = point ? this.collisions.getImpactSide(car, point) : 0;
+    this.collisions.addDamage(car, amount, side);
+  }
+
+  isActive() {
+    return this.race.status === "countdown" || this.race.status === "running";
+  }
+
+  update(dt) {
+    if (!this.isActive()) return 0;
+    this.accumulator += dt;
+    let steps = 0;
+    while (this.accumulator >= this.step && steps < MAX_STEPS_PER_UPDATE) {
+      this.advance();
+      this.accumulator -= this.step;
+      steps += 1;
+      if (!this.isActive()) break;
+    }
+    if (steps === MAX_STEPS_PER_UPDATE) this.accumulator = 0;
+    return steps;
+  }
+
+  advance() {
+    const { race, track, cars } = this;
+    const dt = this.step;
+    race.elapsed += dt;
+    this.tick += 1;
+
+    if (race.status === "countdown") {
+      race.countdown = Math.max(0, race.countdown - dt);
+      if (race.countdown <= 0) {
+        race.status = "running";
+        this.emit("start", { elapsed: race.elapsed });
+      }
+    }
+
+    const weatherChange = this.weather.update(dt);
+    if (weatherChange) this.emit("weather", weatherChange);
+
+    const inputs = this.entries.map((entry) => {
+      if (entry.kind === "ai") {
+        const grip = this.weather.getGrip(entry.car);
+        const input = entry.driver.update(entry.car, track, dt, {
+          opponents: cars,
+          grip,
+          boost: this.boost.enabled ? this.boost.getEnergy(entry.car) : 0,
+          pit: { lane: this.pitLane, wanted: this.pits.getState(entry.car).wantsPit },
+        });
+        const adapted =
+          race.status === "running" ? this.adaptive.adaptInput(input, entry.car, dt) : input;
+        return this.weather.adaptInput(adapted, entry.car);
+      }
+      return quantizeInput(entry.readInput?.() ?? IDLE_INPUT);
+    });
+    if (race.rules.boost === "off") {
+      inputs.forEach((input, idx) => {
+        if (input?.boost) inputs[idx] = { ...input, boost: false };
+      });
+    }
+
+    cars.forEach((car, idx) => {
+      const adapted = this.pits.adaptInput(
+        this.collisions.adaptInput(inputs[idx] ?? IDLE_INPUT, car),
+        car,
+        this.getMass(car),
+      );
+      const boost = this.boost.consume(car, race.status === "running" && adapted.boost, dt);
+      const input = { ...adapted, boost };
+      const speedBefore = car.speed;
+      const conditions = this.pits.adaptConditions(this.weather.getCarWeather(car), car);
+      if (race.status === "countdown") {
+        const eased = this.countdownLength > 0 ? 1 - race.countdown / this.countdownLength : 1;
+        car.update(dt, { ...input, throttle: eased * input.throttle * 0.4 }, track, conditions);
+      } else {
+        car.update(dt, input, track, conditions);
+      }
+      // With collisions on, resolveCollisions() reports every contact; the
+      // speed it takes off would otherwise be counted again here next tick.
+      const speedLoss = race.rules.collisions ? 0 : speedBefore - car.speed;
+      if (speedLoss > IMPACT_SPEED_LOSS) {
+        const point = car.position.clone().addScaledVector(car.getForwardVector(), 2);
+        this.damageCar(car, speedLoss * IMPACT_DAMAGE, point);
+        this.emit("impact", {
+          car,
+          entry: this.entries[idx],
+          severity: speedLoss,
+          point,
+          damage: this.collisions.getDamage(car),
+        });
+      }
+    });
+    if (race.rules.collisions) this.resolveCollisions();
+    if (race.status === "running") {
+      this.boost.update(cars, dt);
+      this.updatePits(dt, inputs);
+    }
+
+    this.emit("tick", { tick: this.tick, dt, inputs });
+    this.updateLaps(dt);
+    this.updateLeaderboard();
+    if (race.status === "running") {
+      this.adaptive.update(this.leaderboard, (car) => this.getEntry(car)?.kind === "player", dt);
+    }
+    this.updateElimination(dt);
+  }
+
+  resolveCollisions() {
+    this.collisions.resolve(this.cars, (car) => this.getMass(car)).forEach((impact) => {
+      const { point, speed, share } = impact;
+      [impact.car, impact.other].forEach((car, idx) => {
+        if (!car) return;
+        this.damageCar(car, this.collisions.getImpactDamage(speed, share[idx] * 2), point);
+        if (speed < IMPACT_SPEED_LOSS) return;
+        this.emit("impact", {
+          car,
+          entry: this.getEntry(car),
+          severity: speed,
+          point,
+          damage: this.collisions.getDamage(car),
+          other: idx === 0 ? impact.other : impact.car,
+        });
+      });
+    });
+  }
+
+  updatePits(dt, inputs) {
+    this.cars.forEach((car, idx) => {
+      const events = this.pits.update(car, dt, inputs[idx], this.collisions.getDamage(car));
+      events.forEach(({ type, ...event }) => {
+        if (type === "pitStop") this.collisions.repair(car);
+        this.emit(type, { ...event, entry: this.entries[idx] });
+      });
+    });
+  }
+
+  updateLaps(dt) {
+    const { race, track, validator } = this;
+    this.cars.forEach((car) => {
+      const prevProgress = car.progress;
+      car.progress = track.getProgress(car.position);
+      if (car.finished) return;
+      if (race.status === "running") {
+        validator.update(car, prevProgress, dt).forEach(({ type, ...event }) => {
+          this.emit(type, event);
+        });
+      }
+      if (!(prevProgress > 0.9 && car.progress < 0.1)) {
+        const sector = this.sectors.update(car, prevProgress, car.totalLapTime);
+        if (sector) this.emit("sector", sector);
+        return;
+      }
+      const lap = validator.completeLap(car);
+      if (!lap) return;
+      car.currentLap += 1;
+      car.lastLapTime = car.totalLapTime;
+      if (lap.valid) {
+        car.bestLap = Math.min(car.bestLap, car.lastLapTime);
+      }
+      car.totalLapTime = 0;
+      const sector = this.sectors.completeLap(car, car.lastLapTime, lap.valid);
+      if (sector) this.emit("sector", sector);
+      this.emit("lap", {
+        car,
+        lap: car.currentLap,
+        time: car.lastLapTime,
+        best: car.bestLap,
+        valid: lap.valid,
+      });
+      if (car.currentLap >= race.lapTarget) {
+        car.finished = true;
+        race.podium.push(car.name);
+        this.finishTimes.set(car, race.elapsed + validator.getPenalty(car));
+        this.emit("carFinished", {
+          car,
+          entry: this.getEntry(car),
+          position: race.podium.length,
+        });
+        if (this.cars.every((c) => c.finished)) {
+          this.finish();
+        }
+      }
+    });
+  }
+
+  getFinishTime(car) {
+    return this.finishTimes.get(car) ?? Infinity;
+  }
+
+  updateLeaderboard() {
+    const previous = this.leaderboard.map((item) => item.car);
+    const leaderboard = this.cars
+      .map((car) => ({
+        car,
+        lap: car.currentLap,
+        progress: car.progress,
+        distance: car.distanceTravelled,
+        pitStops: this.pits.getStops(car),
+      }))
+      .sort((a, b) => {
+        if (a.car.finished && b.car.finished) {
+          const timeA = this.getFinishTime(a.car);
+          const timeB = this.getFinishTime(b.car);
+          return timeA === timeB ? 0 : timeA - timeB;
+        }
+        if (a.car.finished) return -1;
+        if (b.car.finished) return 1;
+        if (a.lap !== b.lap) return b.lap - a.lap;
+        if (Math.abs(a.progress - b.progress) > 0.02) {
+          return b.progress - a.progress;
+        }
+        return b.distance - a.distance;
+      });
+    this.leaderboard = leaderboard;
+
+    if (this.race.status !== "running" || previous.length !== leaderboard.length) return;
+    leaderboard.forEach(({ car }, idx) => {
+      if (car.finished) return;
+      const before = previous.indexOf(car);
+      for (let behind = idx + 1; behind < leaderboard.length; behind += 1) {
+        const passed = leaderboard[behind].car;
+        if (previous.indexOf(passed) < before && !passed.finished) {
+          this.emit("overtake", { car, passed, position: idx + 1 });
+        }
+      }
+    });
+  }
+
+  updateElimination(dt) {
+    const { race, leaderboard } = this;
+    if (race.mode !== "elimination" || race.status !== "running") return;
+    race.eliminationTimer -= dt;
+    if (race.eliminationTimer > 0) return;
+    const candidate = leaderboard[leaderboard.length - 1]?.car;
+    if (!candidate || candidate.finished) return;
+    candidate.finished = true;
+    race.eliminated.push(candidate.name);
+    this.collisions.addDamage(candidate, MAX_DAMAGE);
+    candidate.applyDamage(100);
+    race.eliminationTimer = race.eliminationInterval;
+    this.emit("elimination", { car: candidate, entry: this.getEntry(candidate) });
+    if (this.cars.filter((c) => !c.finished).length <= 1) {
+      this.finish();
+    }
+  }
+
+  finish() {
+    if (this.race.status === "finished") return;
+    this.race.status = "finished";
+    this.emit("finish", {
+      podium: [...this.race.podium],
+      eliminated: [...this.race.eliminated],
+      leaderboard: this.leaderboard,
+    });
+  }
+
+  run({ maxTime = 900 } = {}) {
+    while (this.isActive() && this.race.elapsed < maxTime) {
+      this.advance();
+    }
+    return {
+      seed: this.seed,
+      elapsed: this.race.elapsed,
+      podium: [...this.race.podium],
+      eliminated: [...this.race.eliminated],
+      bestLaps: this.cars.map((car) => ({
+        name: car.name,
+        bestLap: car.bestLap,
+        theoreticalBest: this.sectors.getTheoreticalBest(car),
+      })),
+    };
+  }
+}
@@ -0,0 +1,36 @@
+const STORAGE_PREFIX = "velocity-apex:";
+
+function getStorage() {
+  if (typeof window === "undefined") return null;
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function loadJSON(key, fallback = null) {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function removeJSON(key) {
+  getStorage()?.removeItem(STORAGE_PREFIX + key);
+}
@@ -0,0 +1,243 @@
+import * as THREE from "three";
+import { TRACK_LIBRARY } from "./tracks";
+import { DEFAULT_ROAD_WIDTH } from "./checkpoints";
+import { loadJSON, saveJSON } from "./storage";
+import { slugify } from "./files";
+import { decodeTrackValue, encodeTrackValue } from "./track-file";
+import { MAX_FIELD_SIZE } from "./race-settings";
+
+export const CUSTOM_TRACKS_KEY = "tracks:custom";
+export const MIN_CONTROL_POINTS = 4;
+export const MIN_CORNER_RADIUS = 15;
+export const MIN_TRACK_LENGTH = 400;
+export const REQUIRED_GRID_SLOTS = MAX_FIELD_SIZE;
+export const GRID_ROW_SPACING = 8;
+export const ROAD_WIDTH_RANGE = [10, 24];
+export const BANKING_RANGE = [0, 12];
+export const ELEVATION_RANGE = [-20, 40];
+
+const SAMPLE_COUNT = 240;
+const GRID_MIN_RADIUS = 40;
+
+export const WEATHER_OPTIONS = Object.values(
+  Object.fromEntries(TRACK_LIBRARY.map((config) => [config.weather.particle, config.weather])),
+);
+
+export function createDefaultLayout() {
+  return {
+    id: null,
+    base: null,
+    name: "New Circuit",
+    roadWidth: DEFAULT_ROAD_WIDTH,
+    banking: 0,
+    weather: WEATHER_OPTIONS[0]?.particle ?? "clear",
+    points: [
+      { x: 0, z: 120, elevation: 0 },
+      { x: 110, z: 90, elevation: 0 },
+      { x: 140, z: 0, elevation: 4 },
+      { x: 100, z: -100, elevation: 8 },
+      { x: 0, z: -130, elevation: 4 },
+      { x: -110, z: -90, elevation: 0 },
+      { x: -140, z: 0, elevation: 0 },
+      { x: -100, z: 100, elevation: 0 },
+    ],
+  };
+}
+
+export function createTrackCurve(points) {
+  return new THREE.CatmullRomCurve3(
+    points.map(({ x, z, elevation = 0 }) => new THREE.Vector3(x, elevation, z)),
+    true,
+    "centripetal",
+  );
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+function circumradius(a, b, c) {
+  const ab = Math.hypot(b.x - a.x, b.z - a.z);
+  const bc = Math.hypot(c.x - b.x, c.z - b.z);
+  const ca = Math.hypot(a.x - c.x, a.z - c.z);
+  const area2 = Math.abs((b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x));
+  return area2 < 1e-6 ? Infinity : (ab * bc * ca) / (2 * area2);
+}
+
+function nearestControlPoint(points, sample) {
+  let best = 0;
+  let bestDistance = Infinity;
+  points.forEach((point, idx) => {
+    const distance = Math.hypot(point.x - sample.x, point.z - sample.z);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = idx;
+    }
+  });
+  return best;
+}
+
+export function validateLayout(layout) {
+  const errors = [];
+  const { points, roadWidth = DEFAULT_ROAD_WIDTH } = layout;
+  if (!layout.name?.trim()) errors.push("Give the circuit a name.");
+  if (points.length < MIN_CONTROL_POINTS) {
+    errors.push(`A circuit needs at least ${MIN_CONTROL_POINTS} control points.`);
+    return { valid: false, errors, length: 0, minRadius: 0 };
+  }
+
+  const curve = createTrackCurve(points);
+  const length = curve.getLength();
+  const samples = curve.getSpacedPoints(SAMPLE_COUNT).slice(0, SAMPLE_COUNT);
+  const spacing = length / SAMPLE_COUNT;
+
+  if (length < MIN_TRACK_LENGTH) {
+    errors.push(`Circuit is ${Math.round(length)}m long, minimum is ${MIN_TRACK_LENGTH}m.`);
+  }
+
+  const separationWindow = Math.ceil((roadWidth * 3) / spacing);
+  let crossing = null;
+  let overlap = null;
+  for (let i = 0; i < SAMPLE_COUNT && !crossing; i += 1) {
+    const a = samples[i];
+    const b = samples[(i + 1) % SAMPLE_COUNT];
+    for (let j = i + 2; j < SAMPLE_COUNT; j += 1) {
+      const gap = Math.min(j - i, SAMPLE_COUNT - (j - i));
+      if (gap < 2) continue;
+      const c = samples[j];
+      const d = samples[(j + 1) % SAMPLE_COUNT];
+      if (segmentsIntersect(a, b, c, d)) {
+        crossing = a;
+        break;
+      }
+      if (!overlap && gap > separationWindow && Math.hypot(a.x - c.x, a.z - c.z) < roadWidth) {
+        overlap = a;
+      }
+    }
+  }
+  if (crossing) {
+    errors.push(
+      `Track crosses itself near point ${nearestControlPoint(points, crossing) + 1}.`,
+    );
+  } else if (overlap) {
+    errors.push(
+      `Track runs into itself near point ${nearestControlPoint(points, overlap) + 1}; spread the sections apart.`,
+    );
+  }
+
+  const reach = Math.max(1, Math.round(6 / spacing));
+  let minRadius = Infinity;
+  let tightest = 0;
+  const radii = samples.map((sample, idx) => {
+    const radius = circumradius(
+      samples[(idx - reach + SAMPLE_COUNT) % SAMPLE_COUNT],
+      sample,
+      samples[(idx + reach) % SAMPLE_COUNT],
+    );
+    if (radius < minRadius) {
+      minRadius = radius;
+      tightest = idx;
+    }
+    return radius;
+  });
+  if (minRadius < MIN_CORNER_RADIUS) {
+    errors.push(
+      `Corner near point ${nearestControlPoint(points, samples[tightest]) + 1} is too tight (radius ${Math.round(minRadius)}m, minimum ${MIN_CORNER_RADIUS}m).`,
+    );
+  }
+
+  const gridLength = Math.ceil(REQUIRED_GRID_SLOTS / 2) * GRID_ROW_SPACING;
+  const gridSamples = Math.ceil(gridLength / spacing);
+  const gridRadius = Math.min(
+    ...radii.slice(SAMPLE_COUNT - gridSamples),
+    radii[0],
+  );
+  if (gridRadius < GRID_MIN_RADIUS) {
+    errors.push(
+      `Not enough straight road behind the start line for ${REQUIRED_GRID_SLOTS} grid slots; straighten the approach to point 1.`,
+    );
+  }
+
+  return { valid: errors.length === 0, errors, length, minRadius };
+}
+
+export function getTrackStats(curve, { cornerRadius = 90 } = {}) {
+  const length = curve.getLength();
+  const samples = curve.getSpacedPoints(SAMPLE_COUNT).slice(0, SAMPLE_COUNT);
+  const reach = Math.max(1, Math.round(10 / (length / SAMPLE_COUNT)));
+  const tight = samples.map(
+    (sample, idx) =>
+      circumradius(
+        samples[(idx - reach + SAMPLE_COUNT) % SAMPLE_COUNT],
+        sample,
+        samples[(idx + reach) % SAMPLE_COUNT],
+      ) < cornerRadius,
+  );
+  const corners = tight.every(Boolean)
+    ? 1
+    : tight.filter((isTight, idx) => isTight && !tight[(idx - 1 + SAMPLE_COUNT) % SAMPLE_COUNT]).length;
+  return { length, corners };
+}
+
+export function layoutToConfig(layout) {
+  const { base } = layout;
+  const weather =
+    base?.weather?.particle === layout.weather
+      ? base.weather
+      : WEATHER_OPTIONS.find((option) => option.particle === layout.weather) ?? WEATHER_OPTIONS[0];
+  const id = layout.id ?? `custom-${slugify(layout.name) || "circuit"}-${Date.now().toString(36)}`;
+  return {
+    ...base,
+    id,
+    name: layout.name.trim(),
+    custom: true,
+    controlPoints: layout.points.map(({ x, z, elevation = 0 }) => ({ x, y: elevation, z })),
+    roadWidth: layout.roadWidth,
+    width: layout.roadWidth,
+    banking: layout.banking,
+    weather: { ...weather },
+    spawnGrid: {
+      columns: 2,
+      rowSpacing: GRID_ROW_SPACING,
+      ...base?.spawnGrid,
+      slots: Math.max(base?.spawnGrid?.slots ?? 0, REQUIRED_GRID_SLOTS),
+    },
+  };
+}
+
+export function configToLayout(config) {
+  return {
+    id: config.id,
+    base: config,
+    name: config.name,
+    roadWidth: config.roadWidth ?? config.width ?? DEFAULT_ROAD_WIDTH,
+    banking: config.banking ?? 0,
+    weather: config.weather?.particle ?? WEATHER_OPTIONS[0]?.particle,
+    points: (config.controlPoints ?? []).map(({ x, y = 0, z }) => ({ x, z, elevation: y })),
+  };
+}
+
+export function loadCustomTracks() {
+  const stored = loadJSON(CUSTOM_TRACKS_KEY, []);
+  return Array.isArray(stored)
+    ? stored.filter((config) => config?.id && config.controlPoints).map(decodeTrackValue)
+    : [];
+}
+
+export function saveCustomTrack(config) {
+  const tracks = loadCustomTracks().filter((track) => track.id !== config.id);
+  tracks.push(config);
+  saveJSON(CUSTOM_TRACKS_KEY, tracks.map(encodeTrackValue));
+  return tracks;
+}
+
+export function deleteCustomTrack(id) {
+  const tracks = loadCustomTracks().filter((track) => track.id !== id);
+  saveJSON(CUSTOM_TRACKS_KEY, tracks.map(encodeTrackValue));
+  return tracks;
+}
@@ -0,0 +1,275 @@
+import * as THREE from "three";
+import { Track } from "./tracks";
+import { WEATHER_STATES } from "./weather";
+
+export const TRACK_FORMAT = "velocity-apex-track";
+export const TRACK_VERSION = 1;
+export const TRACK_EXTENSION = ".vatrack.json";
+
+const POINT_SCHEMA = {
+  type: "object",
+  required: ["x", "y", "z"],
+  properties: {
+    x: { type: "number" },
+    y: { type: "number", description: "Elevation in metres." },
+    z: { type: "number" },
+  },
+};
+
+// JSON Schema (draft-07) for track files. Three.js values inside `track` are
+// written as tagged objects: {"$vec2": [x, y]}, {"$vec3": [x, y, z]} and
+// {"$color": "#rrggbb"}, so built-in configs survive a round trip unchanged.
+export const TRACK_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Velocity Apex track",
+  type: "object",
+  required: ["format", "version", "track"],
+  properties: {
+    format: { const: TRACK_FORMAT },
+    version: { type: "integer", minimum: 1, maximum: TRACK_VERSION },
+    exportedAt: { type: "string", format: "date-time" },
+    track: {
+      type: "object",
+      required: ["id", "name", "controlPoints", "weather"],
+      properties: {
+        id: { type: "string", minLength: 1 },
+        name: { type: "string", minLength: 1 },
+        controlPoints: {
+          type: "array",
+          minItems: 4,
+          items: POINT_SCHEMA,
+          description: "Closed Catmull-Rom spline through the centre of the road; point 1 is the start line.",
+        },
+        roadWidth: { type: "number", minimum: 4, maximum: 60 },
+        width: { type: "number", minimum: 4, maximum: 60 },
+        banking: { type: "number", minimum: 0, maximum: 45, description: "Corner banking in degrees." },
+        weather: {
+          type: "object",
+          required: ["particle"],
+          properties: { particle: { type: "string" } },
+        },
+        spawnGrid: {
+          type: "object",
+          properties: {
+            slots: { type: "integer", minimum: 1 },
+            columns: { type: "integer", minimum: 1 },
+            rowSpacing: { type: "number", exclusiveMinimum: 0 },
+          },
+        },
+        sectors: {
+          type: "array",
+          items: { type: "number", exclusiveMinimum: 0, exclusiveMaximum: 1 },
+          description: "Ascending lap fractions where each sector after the first begins.",
+        },
+        weatherSchedule: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["at", "state"],
+            properties: {
+              at: { type: "number", minimum: 0, description: "Race time in seconds." },
+              state: { enum: Object.keys(WEATHER_STATES) },
+            },
+          },
+        },
+        pitLane: {
+          type: "object",
+          description: "Pit lane beside the road; start, end and box are lap fractions.",
+          properties: {
+            start: { type: "number", minimum: 0, exclusiveMaximum: 1 },
+            end: { type: "number", minimum: 0, exclusiveMaximum: 1 },
+            box: { type: "number", minimum: 0, exclusiveMaximum: 1 },
+            side: { enum: [-1, 1], description: "1 for the right of the racing direction, -1 for the left." },
+            width: { type: "number", minimum: 3, maximum: 20 },
+            speedLimit: { type: "number", exclusiveMinimum: 0, description: "Limiter speed in m/s." },
+          },
+        },
+        scenery: { type: "object" },
+        lighting: { type: "object" },
+      },
+    },
+  },
+};
+
+export class TrackFileError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n${errors.join("\n")}` : message);
+    this.name = "TrackFileError";
+    this.errors = errors;
+  }
+}
+
+export function encodeTrackValue(value) {
+  if (value instanceof THREE.Color) return { $color: `#${value.getHexString()}` };
+  if (value instanceof THREE.Vector3) return { $vec3: [value.x, value.y, value.z] };
+  if (value instanceof THREE.Vector2) return { $vec2: [value.x, value.y] };
+  if (Array.isArray(value)) return value.map(encodeTrackValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => typeof item !== "function" && item !== undefined)
+        .map(([key, item]) => [key, encodeTrackValue(item)]),
+    );
+  }
+  return value;
+}
+
+export function decodeTrackValue(value) {
+  if (Array.isArray(value)) return value.map(decodeTrackValue);
+  if (value && typeof value === "object") {
+    if (typeof value.$color === "string") return new THREE.Color(value.$color);
+    if (Array.isArray(value.$vec3)) return new THREE.Vector3(...value.$vec3);
+    if (Array.isArray(value.$vec2)) return new THREE.Vector2(...value.$vec2);
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, decodeTrackValue(item)]),
+    );
+  }
+  return value;
+}
+
+const TYPE_NAMES = {
+  object: "an object",
+  array: "an array",
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+};
+
+function matchesType(type, value) {
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function describeRange({ minimum, maximum, exclusiveMinimum, exclusiveMaximum }) {
+  return [
+    minimum !== undefined && `at least ${minimum}`,
+    exclusiveMinimum !== undefined && `greater than ${exclusiveMinimum}`,
+    maximum !== undefined && `at most ${maximum}`,
+    exclusiveMaximum !== undefined && `less than ${exclusiveMaximum}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+}
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Checks a value against the subset of JSON Schema that TRACK_SCHEMA uses.
+function checkSchema(schema, value, path, errors) {
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}.`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}.`);
+    return;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be ${TYPE_NAMES[schema.type]}.`);
+    return;
+  }
+  if (typeof value === "number") {
+    const { minimum = -Infinity, maximum = Infinity, exclusiveMinimum, exclusiveMaximum } = schema;
+    if (value < minimum || value > maximum || value <= exclusiveMinimum || value >= exclusiveMaximum) {
+      errors.push(`${path} must be ${describeRange(schema)} (got ${value}).`);
+    }
+  }
+  if (typeof value === "string" && value.trim().length < (schema.minLength ?? 0)) {
+    errors.push(`${path} must be a non-empty string.`);
+  }
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems ?? 0)) {
+      errors.push(`${path} needs at least ${schema.minItems} items (got ${value.length}).`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => checkSchema(schema.items, item, `${path}[${idx}]`, errors));
+    }
+  }
+  if (matchesType("object", value)) {
+    schema.required?.forEach((key) => {
+      if (value[key] === undefined) errors.push(`${childPath(path, key)} is required.`);
+    });
+    Object.entries(schema.properties ?? {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) checkSchema(property, value[key], childPath(path, key), errors);
+    });
+  }
+}
+
+// Tagged Three.js values are validated as the plain objects they stand for.
+function untagTrackValue(value) {
+  if (Array.isArray(value)) return value.map(untagTrackValue);
+  if (value && typeof value === "object") {
+    if (typeof value.$color === "string") return value.$color;
+    if (Array.isArray(value.$vec3)) return { x: value.$vec3[0], y: value.$vec3[1], z: value.$vec3[2] };
+    if (Array.isArray(value.$vec2)) return { x: value.$vec2[0], y: value.$vec2[1] };
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, untagTrackValue(item)]),
+    );
+  }
+  return value;
+}
+
+export function validateTrackFile(data) {
+  if (!matchesType("object", data)) {
+    return ["File must contain a JSON object."];
+  }
+  // Files for another format or a newer version get one clear message
+  // instead of a list of schema errors.
+  if (data.format !== TRACK_FORMAT) {
+    return [`format must be "${TRACK_FORMAT}".`];
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > TRACK_VERSION) {
+    return [
+      `Track version ${data.version} is not supported by this game (supports up to version ${TRACK_VERSION}).`,
+    ];
+  }
+  const errors = [];
+  const plain = untagTrackValue(data);
+  checkSchema(TRACK_SCHEMA, plain, "", errors);
+
+  // JSON Schema cannot express ordering between array items.
+  const sectors = plain.track?.sectors;
+  if (Array.isArray(sectors)) {
+    sectors.forEach((boundary, idx) => {
+      if (idx > 0 && typeof boundary === "number" && boundary <= sectors[idx - 1]) {
+        errors.push(`track.sectors[${idx}] must be greater than track.sectors[${idx - 1}].`);
+      }
+    });
+  }
+  return errors;
+}
+
+function sampleControlPoints(config) {
+  const { curve } = new Track(config);
+  const points = curve.points ?? curve.getSpacedPoints(24).slice(0, -1);
+  return points.map(({ x, y, z }) => ({ x, y, z }));
+}
+
+export function exportTrack(config) {
+  return {
+    format: TRACK_FORMAT,
+    version: TRACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    track: encodeTrackValue({
+      ...config,
+      id: config.id ?? config.name,
+      controlPoints: config.controlPoints ?? sampleControlPoints(config),
+    }),
+  };
+}
+
+export function parseTrackFile(text) {
+  let data;
+  try {
+    data = typeof text === "string" ? JSON.parse(text) : text;
+  } catch {
+    throw new TrackFileError("This file is not valid JSON.");
+  }
+  const errors = validateTrackFile(data);
+  if (errors.length) {
+    throw new TrackFileError("This track file is invalid:", errors);
+  }
+  return decodeTrackValue(data.track);
+}
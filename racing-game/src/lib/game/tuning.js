@@ -0,0 +1,182 @@
+import * as THREE from "three";
+import { loadJSON, saveJSON } from "./storage";
+
+export const GEAR_COUNT = 5;
+const WHEEL_RADIUS = 0.33;
+
+const DEFAULT_ENGINE = { peakTorque: 420, peakRpm: 5200, redline: 8000, idle: 1000 };
+// Presets and upgrades may also carry an `engine` object of their own.
+const PRESET_ENGINES = {
+  balanced: {},
+  lightweight: { peakTorque: 330, peakRpm: 6000, redline: 8800 },
+};
+const UPGRADE_ENGINES = {
+  stock: { torque: 1, rpm: 0 },
+  performance: { torque: 1.12, rpm: 300 },
+};
+
+export const TUNING_FIELDS = {
+  finalDrive: { label: "Final drive", step: 0.05, format: (value) => value.toFixed(2) },
+  brakeBias: { label: "Brake bias", step: 1, format: (value) => `${value}% F` },
+  downforce: { label: "Downforce", step: 0.05, format: (value) => `${Math.round(value * 100)}%` },
+  suspension: { label: "Suspension", step: 0.05, format: (value) => `${Math.round(value * 100)}% stiff` },
+  differential: { label: "Differential lock", step: 5, format: (value) => `${value}%` },
+  steeringLock: { label: "Steering lock", step: 1, format: (value) => `${value}°` },
+};
+
+const DEFAULT_LIMITS = {
+  finalDrive: [2.8, 4.6],
+  gearSpread: 0.25,
+  brakeBias: [50, 75],
+  downforce: [0, 1],
+  suspension: [0, 1],
+  differential: [0, 100],
+  steeringLock: [20, 40],
+};
+
+// Per-preset ranges; presets not listed here use DEFAULT_LIMITS.
+const PRESET_LIMITS = {
+  balanced: {},
+  lightweight: { finalDrive: [3.2, 4.8], downforce: [0, 0.8], steeringLock: [24, 42] },
+};
+
+const DEFAULT_TUNING = {
+  finalDrive: 3.7,
+  gears: [3.2, 2.1, 1.5, 1.15, 0.92],
+  brakeBias: 60,
+  downforce: 0.4,
+  suspension: 0.5,
+  differential: 40,
+  steeringLock: 32,
+};
+
+export const STAT_LABELS = {
+  topSpeed: "Top speed",
+  acceleration: "Acceleration",
+  handling: "Handling",
+  braking: "Braking",
+  stability: "Stability",
+};
+
+export function getTuningLimits(presetKey, preset = {}) {
+  return { ...DEFAULT_LIMITS, ...PRESET_LIMITS[presetKey], ...preset.tuningLimits };
+}
+
+export function getGearLimits(limits, idx) {
+  const base = DEFAULT_TUNING.gears[idx];
+  return [base * (1 - limits.gearSpread), base * (1 + limits.gearSpread)];
+}
+
+export function sanitizeTuning(tuning, limits) {
+  const clampField = (key) => {
+    const [min, max] = limits[key];
+    const value = Number(tuning?.[key]);
+    return THREE.MathUtils.clamp(Number.isFinite(value) ? value : DEFAULT_TUNING[key], min, max);
+  };
+  // Each gear must stay shorter than the one before it.
+  let previous = Infinity;
+  const gears = DEFAULT_TUNING.gears.map((fallback, idx) => {
+    const [min, max] = getGearLimits(limits, idx);
+    const value = Number(tuning?.gears?.[idx]);
+    const ratio = THREE.MathUtils.clamp(
+      Math.min(Number.isFinite(value) ? value : fallback, previous - 0.05),
+      min,
+      max,
+    );
+    previous = ratio;
+    return Number(ratio.toFixed(2));
+  });
+  return {
+    finalDrive: clampField("finalDrive"),
+    gears,
+    brakeBias: Math.round(clampField("brakeBias")),
+    downforce: clampField("downforce"),
+    suspension: clampField("suspension"),
+    differential: Math.round(clampField("differential")),
+    steeringLock: Math.round(clampField("steeringLock")),
+  };
+}
+
+export function createDefaultTuning(limits) {
+  return sanitizeTuning(DEFAULT_TUNING, limits);
+}
+
+export function getEngineSpec(presetKey, upgradeKey, preset = {}) {
+  const base = { ...DEFAULT_ENGINE, ...PRESET_ENGINES[presetKey], ...preset.engine };
+  const upgrade = {
+    torque: 1,
+    rpm: 0,
+    ...UPGRADE_ENGINES[upgradeKey],
+    ...preset.upgrades?.[upgradeKey]?.engine,
+  };
+  return {
+    peakTorque: base.peakTorque * upgrade.torque,
+    peakRpm: base.peakRpm + upgrade.rpm,
+    redline: base.redline + upgrade.rpm,
+    idle: base.idle,
+  };
+}
+
+export function getTorque(engine, rpm) {
+  const spread = rpm < engine.peakRpm ? engine.peakRpm : engine.redline - engine.peakRpm * 0.6;
+  return engine.peakTorque * (1 - 0.55 * ((rpm - engine.peakRpm) / spread) ** 2);
+}
+
+export function getEngineCurve(engine, samples = 32) {
+  return Array.from({ length: samples + 1 }, (_, idx) => {
+    const rpm = engine.idle + ((engine.redline - engine.idle) * idx) / samples;
+    const torque = getTorque(engine, rpm);
+    return { rpm, torque, power: (torque * rpm) / 9549 };
+  });
+}
+
+export function getGearSpeeds(tuning, engine) {
+  return tuning.gears.map(
+    (ratio) =>
+      ((engine.redline / (ratio * tuning.finalDrive)) * 2 * Math.PI * WHEEL_RADIUS * 60) / 1000,
+  );
+}
+
+const normalise = (value, [min, max]) => (max === min ? 0.5 : (value - min) / (max - min));
+
+export function getTuningStats(tuning, limits) {
+  const drive = 1 - normalise(tuning.finalDrive, limits.finalDrive);
+  const launch = normalise(tuning.gears[0] * tuning.finalDrive, [
+    getGearLimits(limits, 0)[0] * limits.finalDrive[0],
+    getGearLimits(limits, 0)[1] * limits.finalDrive[1],
+  ]);
+  const topGear = 1 - normalise(tuning.gears[GEAR_COUNT - 1], getGearLimits(limits, GEAR_COUNT - 1));
+  const downforce = normalise(tuning.downforce, limits.downforce);
+  const stiffness = normalise(tuning.suspension, limits.suspension);
+  const lock = normalise(tuning.differential, limits.differential);
+  const steering = normalise(tuning.steeringLock, limits.steeringLock);
+  const bias = normalise(tuning.brakeBias, limits.brakeBias);
+  const clamp = (value) => THREE.MathUtils.clamp(value, 0.05, 1);
+  return {
+    topSpeed: clamp(0.25 + drive * 0.4 + topGear * 0.3 - downforce * 0.25),
+    acceleration: clamp(0.2 + launch * 0.5 + lock * 0.2 - downforce * 0.1),
+    handling: clamp(0.25 + downforce * 0.35 + steering * 0.2 + (1 - Math.abs(stiffness - 0.6)) * 0.2 - lock * 0.15),
+    braking: clamp(0.3 + downforce * 0.3 + (1 - Math.abs(bias - 0.45) * 2) * 0.4),
+    stability: clamp(0.3 + (1 - stiffness) * 0.25 + lock * 0.2 + downforce * 0.2 + bias * 0.1 - steering * 0.15),
+  };
+}
+
+const setupsKey = (trackId) => `setups:${trackId}`;
+
+export function loadTrackSetups(trackId) {
+  const setups = loadJSON(setupsKey(trackId), {});
+  return setups && typeof setups === "object" && !Array.isArray(setups) ? setups : {};
+}
+
+export function saveTrackSetup(trackId, name, setup) {
+  const setups = { ...loadTrackSetups(trackId), [name]: setup };
+  saveJSON(setupsKey(trackId), setups);
+  return setups;
+}
+
+export function deleteTrackSetup(trackId, name) {
+  const setups = { ...loadTrackSetups(trackId) };
+  delete setups[name];
+  saveJSON(setupsKey(trackId), setups);
+  return setups;
+}
@@ -0,0 +1,297 @@
+import * as THREE from "three";
+import { createRng } from "./random";
+import { getRoadHalfWidth } from "./checkpoints";
+
+export const WEATHER_STATES = {
+  clear: {
+    label: "Clear",
+    particle: "clear",
+    intensity: 0,
+    grip: 1,
+    rainfall: 0,
+    fog: [80, 380],
+    sky: "#78b7ff",
+    cloud: 0,
+  },
+  overcast: {
+    label: "Overcast",
+    particle: "clear",
+    intensity: 0,
+    grip: 1,
+    rainfall: 0,
+    fog: [60, 300],
+    sky: "#8a97a8",
+    cloud: 0.5,
+  },
+  rain: {
+    label: "Rain",
+    particle: "rain",
+    intensity: 0.5,
+    grip: 0.97,
+    rainfall: 0.5,
+    fog: [45, 240],
+    sky: "#5d6b7d",
+    cloud: 0.75,
+  },
+  "heavy-rain": {
+    label: "Heavy Rain",
+    particle: "rain",
+    intensity: 1,
+    grip: 0.93,
+    rainfall: 1,
+    fog: [25, 150],
+    sky: "#3f4a58",
+    cloud: 0.9,
+  },
+  fog: {
+    label: "Fog",
+    particle: "clear",
+    intensity: 0,
+    grip: 0.98,
+    rainfall: 0,
+    fog: [8, 90],
+    sky: "#a9b0b8",
+    cloud: 0.6,
+  },
+  snow: {
+    label: "Snow",
+    particle: "snow",
+    intensity: 0.8,
+    grip: 0.72,
+    rainfall: 0,
+    fog: [30, 200],
+    sky: "#c9d3de",
+    cloud: 0.8,
+  },
+};
+
+export const WEATHER_MODES = {
+  static: "Track default",
+  schedule: "Scheduled",
+  random: "Random",
+};
+
+export const DEFAULT_WEATHER_SCHEDULE = [
+  { at: 60, state: "overcast" },
+  { at: 120, state: "rain" },
+  { at: 200, state: "heavy-rain" },
+  { at: 280, state: "rain" },
+  { at: 360, state: "overcast" },
+];
+
+const NEXT_STATES = {
+  clear: ["overcast", "fog"],
+  overcast: ["clear", "rain", "fog", "snow"],
+  rain: ["overcast", "heavy-rain"],
+  "heavy-rain": ["rain"],
+  fog: ["clear", "overcast"],
+  snow: ["overcast"],
+};
+
+const TRANSITION_TIME = 25;
+const RANDOM_INTERVAL = [45, 100];
+const WET_TIME = 40;
+const DRY_TIME = 150;
+const LINE_DRYING_RATE = 2.5;
+const WET_GRIP_LOSS = 0.3;
+const PUDDLE_GRIP_LOSS = 0.25;
+const PUDDLE_COUNT = 14;
+const SAMPLE_COUNT = 200;
+const BRAKE_LOOKAHEAD = 1.6;
+const LATERAL_ACCEL = 12;
+
+const skyA = new THREE.Color();
+const skyB = new THREE.Color();
+
+function stateForParticle(particle) {
+  if (particle === "rain") return "rain";
+  if (particle === "snow") return "snow";
+  if (particle === "fog") return "fog";
+  return "clear";
+}
+
+export class WeatherSystem {
+  constructor({ track, mode = "static", schedule, seed = 1 }) {
+    this.track = track;
+    this.base = track.config.weather;
+    this.mode = mode;
+    this.random = createRng(seed);
+    const initial = stateForParticle(this.base.particle);
+    this.initial = initial;
+    this.from = initial;
+    this.to = initial;
+    this.blend = 1;
+    this.elapsed = 0;
+    this.schedule = [
+      ...(schedule ?? track.config.weatherSchedule ?? DEFAULT_WEATHER_SCHEDULE),
+    ].sort((a, b) => a.at - b.at);
+    this.scheduleIndex = 0;
+    this.nextRandomChange = this.random.range(...RANDOM_INTERVAL);
+    this.wetness = WEATHER_STATES[initial].rainfall;
+    this.lineWetness = this.wetness;
+    this.baseGrip = WEATHER_STATES[initial].grip * (1 - this.wetness * WET_GRIP_LOSS);
+
+    this.length = track.curve.getLength();
+    this.halfWidth = getRoadHalfWidth(track);
+    const samples = track.curve.getSpacedPoints(SAMPLE_COUNT).slice(0, SAMPLE_COUNT);
+    this.radii = samples.map((point, idx) => {
+      const prev = samples[(idx - 2 + SAMPLE_COUNT) % SAMPLE_COUNT];
+      const next = samples[(idx + 2) % SAMPLE_COUNT];
+      const ab = prev.distanceTo(point);
+      const bc = point.distanceTo(next);
+      const ca = next.distanceTo(prev);
+      const area2 = Math.abs(
+        (point.x - prev.x) * (next.z - prev.z) - (point.z - prev.z) * (next.x - prev.x),
+      );
+      return area2 < 1e-6 ? Infinity : (ab * bc * ca) / (2 * area2);
+    });
+    this.puddles = Array.from({ length: PUDDLE_COUNT }, () => ({
+      progress: this.random(),
+      offset: this.random.range(-0.8, 0.8) * this.halfWidth,
+      radius: this.random.range(2, 5),
+    }));
+  }
+
+  get state() {
+    return this.blend >= 0.5 ? this.to : this.from;
+  }
+
+  get label() {
+    return WEATHER_STATES[this.state].label;
+  }
+
+  setState(key) {
+    if (!WEATHER_STATES[key] || key === this.to) return null;
+    this.from = this.state;
+    this.to = key;
+    this.blend = 0;
+    return { state: key, label: WEATHER_STATES[key].label };
+  }
+
+  mix(field) {
+    return THREE.MathUtils.lerp(
+      WEATHER_STATES[this.from][field],
+      WEATHER_STATES[this.to][field],
+      this.blend,
+    );
+  }
+
+  update(dt) {
+    this.elapsed += dt;
+    this.blend = Math.min(1, this.blend + dt / TRANSITION_TIME);
+
+    let change = null;
+    if (this.mode === "schedule") {
+      const next = this.schedule[this.scheduleIndex];
+      if (next && this.elapsed >= next.at) {
+        this.scheduleIndex += 1;
+        change = this.setState(next.state);
+      }
+    } else if (this.mode === "random" && this.elapsed >= this.nextRandomChange) {
+      const options = NEXT_STATES[this.to];
+      change = this.setState(options[this.random.int(options.length)]);
+      this.nextRandomChange = this.elapsed + this.random.range(...RANDOM_INTERVAL);
+    }
+
+    const rainfall = this.mix("rainfall");
+    if (rainfall > 0.05) {
+      this.wetness = Math.min(1, this.wetness + (rainfall * dt) / WET_TIME);
+      this.lineWetness = Math.min(this.wetness, this.lineWetness + (rainfall * dt) / WET_TIME);
+    } else {
+      this.wetness = Math.max(0, this.wetness - dt / DRY_TIME);
+      this.lineWetness = Math.max(0, this.lineWetness - (dt * LINE_DRYING_RATE) / DRY_TIME);
+    }
+    return change;
+  }
+
+  lateralOffset(car) {
+    const centre = this.track.curve.getPointAt(car.progress);
+    const tangent = this.track.curve.getTangentAt(car.progress);
+    return (car.position.x - centre.x) * -tangent.z + (car.position.z - centre.z) * tangent.x;
+  }
+
+  getGrip(car) {
+    const offset = this.lateralOffset(car);
+    const onLine = Math.abs(offset) < this.halfWidth * 0.35;
+    const wetness = onLine ? this.lineWetness : this.wetness;
+    let grip = this.mix("grip") * (1 - wetness * WET_GRIP_LOSS);
+    if (this.wetness > 0.5) {
+      const depth = (this.wetness - 0.5) / 0.5;
+      const inPuddle = this.puddles.some(({ progress, offset: puddleOffset, radius }) => {
+        const gap = Math.abs(car.progress - progress);
+        const along = Math.min(gap, 1 - gap) * this.length;
+        return Math.hypot(along, offset - puddleOffset) < radius;
+      });
+      if (inPuddle) grip -= PUDDLE_GRIP_LOSS * depth;
+    }
+    return THREE.MathUtils.clamp(grip, 0.3, 1);
+  }
+
+  getCarWeather(car) {
+    const { particle, intensity } = this.getParticles();
+    return {
+      ...this.base,
+      particle,
+      intensity,
+      grip: ((this.base.grip ?? 1) * this.getGrip(car)) / this.baseGrip,
+      wetness: this.wetness,
+    };
+  }
+
+  describe(key) {
+    const state = WEATHER_STATES[key];
+    if (key !== this.initial) return state;
+    return {
+      particle: this.base.particle,
+      intensity: this.base.intensity ?? state.intensity,
+    };
+  }
+
+  getParticles() {
+    const from = this.describe(this.from);
+    const to = this.describe(this.to);
+    if (from.particle === to.particle) {
+      return {
+        particle: to.particle,
+        intensity: THREE.MathUtils.lerp(from.intensity, to.intensity, this.blend),
+      };
+    }
+    return this.blend < 0.5
+      ? { particle: from.particle, intensity: from.intensity * (1 - this.blend * 2) }
+      : { particle: to.particle, intensity: to.intensity * (this.blend * 2 - 1) };
+  }
+
+  getVisuals() {
+    const from = WEATHER_STATES[this.from];
+    const to = WEATHER_STATES[this.to];
+    skyA.set(from.sky);
+    skyB.set(to.sky);
+    return {
+      ...this.getParticles(),
+      label: this.label,
+      sky: skyA.clone().lerp(skyB, this.blend),
+      cloud: this.mix("cloud"),
+      fogNear: THREE.MathUtils.lerp(from.fog[0], to.fog[0], this.blend),
+      fogFar: THREE.MathUtils.lerp(from.fog[1], to.fog[1], this.blend),
+    };
+  }
+
+  adaptInput(input, car) {
+    const grip = this.getGrip(car);
+    if (grip >= 0.98 || car.speed < 5) return input;
+    const start = Math.floor(car.progress * SAMPLE_COUNT);
+    const ahead = Math.ceil(((car.speed * BRAKE_LOOKAHEAD) / this.length) * SAMPLE_COUNT) + 1;
+    let radius = Infinity;
+    for (let step = 0; step <= ahead; step += 1) {
+      radius = Math.min(radius, this.radii[(start + step) % SAMPLE_COUNT]);
+    }
+    const safeSpeed = Math.sqrt(LATERAL_ACCEL * grip * radius);
+    if (car.speed <= safeSpeed) return input;
+    const over = (car.speed - safeSpeed) / safeSpeed;
+    return {
+      ...input,
+      throttle: Math.min(input.throttle, Math.max(0, 1 - over * 4)),
+      brake: Math.max(input.brake, Math.min(1, over * 3)),
+    };
+  }
+}
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Championship, DEFAULT_POINTS, compareStandings } from "@/lib/game/championship";
+import { MAX_SCORING_POSITIONS, createRaceSettings } from "@/lib/game/race-settings";
+
+const driver = (name, points, wins, bestLap) => ({ name, points, wins, bestLap });
+const order = (drivers) => [...drivers].sort(compareStandings).map(({ name }) => name);
+
+describe("compareStandings", () => {
+  it("ranks by points first", () => {
+    assert.deepEqual(order([driver("A", 10, 3, 60), driver("B", 25, 0, 70)]), ["B", "A"]);
+  });
+
+  it("breaks ties on points with wins", () => {
+    assert.deepEqual(order([driver("A", 43, 0, 60), driver("B", 43, 1, 70)]), ["B", "A"]);
+  });
+
+  it("breaks ties on points and wins with the faster best lap", () => {
+    assert.deepEqual(order([driver("A", 43, 1, 71.2), driver("B", 43, 1, 70.8)]), ["B", "A"]);
+  });
+
+  it("puts drivers without a lap time behind those with one", () => {
+    assert.deepEqual(order([driver("A", 0, 0, Infinity), driver("B", 0, 0, 90)]), ["B", "A"]);
+  });
+
+  it("falls back to the name when everything else is equal", () => {
+    assert.deepEqual(order([driver("B", 5, 0, 80), driver("A", 5, 0, 80)]), ["A", "B"]);
+  });
+});
+
+describe("Championship", () => {
+  it("awards points by finishing position and carries them across rounds", () => {
+    const season = new Championship({ rounds: 2 });
+    season.recordRound("One", [{ name: "A", bestLap: 61 }, { name: "B", bestLap: 60 }]);
+    const standings = season.recordRound("Two", [
+      { name: "B", bestLap: 59 },
+      { name: "A", bestLap: 62 },
+    ]);
+    assert.deepEqual(
+      standings.map(({ name, points, wins, bestLap }) => ({ name, points, wins, bestLap })),
+      [
+        { name: "B", points: 43, wins: 1, bestLap: 59 },
+        { name: "A", points: 43, wins: 1, bestLap: 61 },
+      ],
+    );
+    assert.ok(season.isComplete());
+    assert.equal(season.getPodium().length, 2);
+  });
+
+  it("uses a custom points table and scores nothing past its end", () => {
+    const season = new Championship({ rounds: 1, points: [3, 1] });
+    const standings = season.recordRound("One", [{ name: "A" }, { name: "B" }, { name: "C" }]);
+    assert.deepEqual(
+      standings.map(({ points }) => points),
+      [3, 1, 0],
+    );
+  });
+
+  it("ignores rounds once the season is complete", () => {
+    const season = new Championship({ rounds: 1 });
+    season.recordRound("One", [{ name: "A" }]);
+    const standings = season.recordRound("Two", [{ name: "A" }]);
+    assert.equal(season.round, 1);
+    assert.equal(standings[0].points, DEFAULT_POINTS[0]);
+  });
+});
+
+describe("championship points setting", () => {
+  const settings = (points) => createRaceSettings({ laps: 3, ai: 5 }, { points });
+
+  it("defaults to the standard table", () => {
+    assert.deepEqual(createRaceSettings({ laps: 3, ai: 5 }).points, DEFAULT_POINTS);
+    assert.deepEqual(settings([]).points, DEFAULT_POINTS);
+  });
+
+  it("rounds and clamps each position and trims to a full grid", () => {
+    assert.deepEqual(settings([10.4, -3, 250, "x"]).points, [10, 0, 100, 0]);
+    assert.equal(settings(new Array(40).fill(1)).points.length, MAX_SCORING_POSITIONS);
+  });
+});
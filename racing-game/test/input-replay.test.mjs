@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ReplayFileError } from "@/lib/game/replay-file";
+import {
+  CHECKSUM_INTERVAL,
+  INPUT_REPLAY_VERSION,
+  InputPlayback,
+  InputRecorder,
+  hashTrackConfig,
+  parseInputReplay,
+  quantizeInput,
+} from "@/lib/game/input-replay";
+
+const trackConfig = { id: "coastal", name: "Coastal Loop", controlPoints: [{ x: 0, y: 0, z: 120 }] };
+const IDLE = { throttle: 0, brake: 0, steer: 0, handbrake: 0, boost: false };
+
+// Just enough of a RaceSession for recording and playback.
+function createSession() {
+  const listeners = new Map();
+  const car = { position: { x: 0, y: 0, z: 0 }, speed: 0, currentLap: 1 };
+  return {
+    seed: 42,
+    step: 1 / 120,
+    tick: 0,
+    track: { config: trackConfig },
+    entries: [{ id: "player1", kind: "player" }, { id: "Rival", kind: "ai" }],
+    cars: [car, { position: { x: 5, y: 0, z: 0 }, speed: 0, currentLap: 1 }],
+    on(type, handler) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(handler);
+      return () => listeners.get(type).delete(handler);
+    },
+    emit(type, payload) {
+      listeners.get(type)?.forEach((handler) => handler(payload));
+    },
+    advance(input) {
+      this.tick += 1;
+      car.position.x += input.throttle;
+      car.speed = input.throttle * 10;
+      this.emit("tick", { tick: this.tick, inputs: [input, IDLE] });
+    },
+  };
+}
+
+const inputAt = (tick) => ({
+  ...IDLE,
+  throttle: tick < 100 ? 1 : 0.5,
+  steer: tick > 200 ? -0.25 : 0,
+  boost: tick > 250,
+});
+
+function record(ticks = 300) {
+  const session = createSession();
+  const recorder = new InputRecorder(session, {
+    trackId: "coastal",
+    players: [{ id: "player1" }],
+    ai: { count: 1 },
+  });
+  for (let tick = 1; tick <= ticks; tick += 1) session.advance(inputAt(tick));
+  recorder.stop();
+  return JSON.parse(JSON.stringify(recorder.export()));
+}
+
+describe("input replays", () => {
+  it("records only input changes and a checksum every interval", () => {
+    const data = record();
+    assert.equal(data.version, INPUT_REPLAY_VERSION);
+    assert.equal(data.tickCount, 300);
+    assert.equal(data.trackHash, hashTrackConfig(trackConfig));
+    assert.deepEqual(
+      data.inputs.player1.map(([tick]) => tick),
+      [1, 100, 201, 251],
+    );
+    assert.equal(data.checksums.length, Math.floor(300 / CHECKSUM_INTERVAL));
+    assert.equal(data.inputs.Rival, undefined);
+  });
+
+  it("plays back the recorded input for every tick without drifting", () => {
+    const data = parseInputReplay(record());
+    const session = createSession();
+    const playback = new InputPlayback(data);
+    const drifts = [];
+    session.on("drift", (drift) => drifts.push(drift));
+    playback.attach(session);
+    for (let tick = 1; tick <= data.tickCount; tick += 1) {
+      session.tick = tick;
+      const input = playback.readInput("player1");
+      assert.deepEqual(input, quantizeInput(inputAt(tick)), `tick ${tick}`);
+      session.tick = tick - 1;
+      session.advance(input);
+    }
+    assert.equal(playback.drift, null);
+    assert.deepEqual(drifts, []);
+  });
+
+  it("reports the first tick where the re-run drifts from the recording", () => {
+    const data = parseInputReplay(record());
+    const session = createSession();
+    const playback = new InputPlayback(data);
+    playback.attach(session);
+    for (let tick = 1; tick <= data.tickCount; tick += 1) {
+      session.advance({ ...inputAt(tick), throttle: tick > 150 ? 0 : inputAt(tick).throttle });
+    }
+    assert.equal(playback.drift?.tick, CHECKSUM_INTERVAL * 2);
+  });
+
+  it("hashes track configs by content", () => {
+    assert.equal(hashTrackConfig({ ...trackConfig }), hashTrackConfig(trackConfig));
+    assert.notEqual(
+      hashTrackConfig({ ...trackConfig, controlPoints: [{ x: 0, y: 0, z: 121 }] }),
+      hashTrackConfig(trackConfig),
+    );
+  });
+
+  const rejects = (changes, pattern) =>
+    assert.throws(
+      () => parseInputReplay({ ...record(), ...changes }),
+      (error) => error instanceof ReplayFileError && pattern.test(error.message),
+    );
+
+  it("rejects other formats and versions", () => {
+    rejects({ format: "velocity-apex-replay" }, /not a Velocity Apex input replay/);
+    rejects({ version: INPUT_REPLAY_VERSION + 1 }, /version/);
+  });
+
+  it("rejects a missing setup, seed or track hash", () => {
+    rejects({ setup: { players: [] } }, /race setup or seed/);
+    rejects({ seed: "42" }, /race setup or seed/);
+    rejects({ trackHash: -1 }, /version of its track/);
+  });
+
+  it("rejects a bad step or tick count", () => {
+    rejects({ step: 0 }, /step/);
+    rejects({ step: 1 }, /step/);
+    rejects({ tickCount: 12.5 }, /tickCount/);
+  });
+
+  it("rejects corrupted input rows", () => {
+    rejects({ inputs: { player1: [[0, 1000, 0, 0, 0]] } }, /input data/);
+    rejects({ inputs: { player1: [[5, 1000, 0, 0, 0, 0], [2, 0, 0, 0, 0, 0]] } }, /input data/);
+    rejects({ inputs: { player1: [[999, 1000, 0, 0, 0, 0]] } }, /input data/);
+  });
+
+  it("rejects corrupted checksums", () => {
+    rejects({ checksums: [[120, "abc"]] }, /checksums/);
+    rejects({ checksums: [[240, 1], [120, 2]] }, /checksums/);
+    rejects({ checksums: [[120, 2 ** 32]] }, /checksums/);
+    rejects({ checksums: null }, /checksums/);
+  });
+});
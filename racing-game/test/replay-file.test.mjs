@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FRAME_STRIDE } from "@/lib/game/replay";
+import {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  ReplayFileError,
+  decodeReplay,
+  encodeReplay,
+} from "@/lib/game/replay-file";
+
+const track = { id: "coastal", name: "Coastal Loop" };
+const cars = [
+  { name: "Player One", color: "#ff0000", preset: "balanced", upgrade: "stock" },
+  {
+    name: "Rival",
+    color: "#00ff00",
+    preset: "lightweight",
+    upgrade: "performance",
+    tuning: { finalDrive: 3.9 },
+  },
+];
+
+// Position, rotation, forward and speed for every car, moving along x.
+function makeFrames(count) {
+  return Array.from({ length: count }, (_, frame) => ({
+    time: 1.5 + frame / 60,
+    states: Float32Array.from({ length: cars.length * FRAME_STRIDE }, (_, idx) => {
+      const channel = idx % FRAME_STRIDE;
+      if (channel === 0) return frame * 0.8 + idx;
+      if (channel === 6) return 1;
+      if (channel === 7) return 1;
+      if (channel === 9) return 40 + frame * 0.25;
+      return 0;
+    }),
+  }));
+}
+
+describe("replay files", () => {
+  it("round-trips frames within each channel's precision", () => {
+    const frames = makeFrames(30);
+    const data = JSON.parse(JSON.stringify(encodeReplay({ track, cars, frames })));
+    const replay = decodeReplay(data);
+    assert.equal(replay.rows.length, frames.length);
+    replay.rows.forEach(([time, ...states], frame) => {
+      assert.ok(Math.abs(time - frames[frame].time) <= 0.0005);
+      states.forEach((value, idx) => {
+        assert.ok(Math.abs(value - frames[frame].states[idx]) <= 0.005, `frame ${frame} channel ${idx}`);
+      });
+    });
+  });
+
+  it("keeps a car's setup only when it has one", () => {
+    const replay = decodeReplay(encodeReplay({ track, cars, frames: makeFrames(2) }));
+    assert.equal("tuning" in replay.cars[0], false);
+    assert.deepEqual(replay.cars[1].tuning, { finalDrive: 3.9 });
+  });
+
+  it("accepts the JSON text of a file", () => {
+    const text = JSON.stringify(encodeReplay({ track, cars, frames: makeFrames(3) }));
+    assert.equal(decodeReplay(text).track.id, "coastal");
+  });
+
+  const encoded = () => encodeReplay({ track, cars, frames: makeFrames(4) });
+  const rejects = (data, pattern) =>
+    assert.throws(
+      () => decodeReplay(data),
+      (error) => error instanceof ReplayFileError && pattern.test(error.message),
+    );
+
+  it("rejects text that is not JSON", () => {
+    rejects("{ nope", /not valid JSON/);
+  });
+
+  it("rejects other formats and newer versions", () => {
+    rejects({ ...encoded(), format: "something-else" }, /not a Velocity Apex replay/);
+    rejects({ ...encoded(), version: REPLAY_VERSION + 1 }, /version/);
+    assert.equal(encoded().format, REPLAY_FORMAT);
+  });
+
+  it("rejects a different frame layout", () => {
+    rejects({ ...encoded(), stride: FRAME_STRIDE + 1 }, /channels per car/);
+  });
+
+  it("rejects missing cars or frames", () => {
+    rejects({ ...encoded(), cars: [] }, /track or car list/);
+    rejects({ ...encoded(), frameCount: 1 }, /no usable frames/);
+  });
+
+  it("rejects truncated or non-numeric frame data", () => {
+    const data = encoded();
+    rejects({ ...data, channels: data.channels.slice(1) }, /truncated or corrupted/);
+    const channels = data.channels.map((channel) => [...channel]);
+    channels[3][1] = "x";
+    rejects({ ...data, channels }, /truncated or corrupted/);
+    rejects({ ...data, times: [0, 1, null, 2] }, /truncated or corrupted/);
+  });
+});
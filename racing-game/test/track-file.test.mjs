@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as THREE from "three";
+import {
+  TRACK_FORMAT,
+  TRACK_VERSION,
+  TrackFileError,
+  exportTrack,
+  parseTrackFile,
+  validateTrackFile,
+} from "@/lib/game/track-file";
+
+const config = {
+  id: "harbour",
+  name: "Harbour Run",
+  controlPoints: [
+    { x: 0, y: 0, z: 120 },
+    { x: 140, y: 4, z: 0 },
+    { x: 0, y: 8, z: -130 },
+    { x: -140, y: 0, z: 0 },
+  ],
+  roadWidth: 14,
+  weather: { particle: "rain", fogColor: new THREE.Color("#335577") },
+  sectors: [0.3, 0.7],
+  pitLane: { start: 0.9, end: 0.05, box: 0.98, side: -1 },
+  scenery: { skyline: new THREE.Vector3(10, 20, 30), sun: new THREE.Vector2(0.5, 0.25) },
+};
+
+const exported = (changes = {}) => {
+  const data = JSON.parse(JSON.stringify(exportTrack(config)));
+  return { ...data, track: { ...data.track, ...changes } };
+};
+
+describe("track files", () => {
+  it("round-trips a config, Three.js values included", () => {
+    const data = exportTrack(config);
+    assert.equal(data.format, TRACK_FORMAT);
+    assert.equal(data.version, TRACK_VERSION);
+    const track = parseTrackFile(JSON.stringify(data));
+    assert.deepEqual(track.controlPoints, config.controlPoints);
+    assert.deepEqual(track.pitLane, config.pitLane);
+    assert.ok(track.weather.fogColor instanceof THREE.Color);
+    assert.equal(track.weather.fogColor.getHexString(), "335577");
+    assert.ok(track.scenery.skyline.equals(config.scenery.skyline));
+    assert.ok(track.scenery.sun instanceof THREE.Vector2);
+  });
+
+  it("drops functions from exported configs", () => {
+    const data = exportTrack({ ...config, build: () => null });
+    assert.equal("build" in data.track, false);
+  });
+
+  it("passes a valid file", () => {
+    assert.deepEqual(validateTrackFile(exported()), []);
+  });
+
+  it("rejects other formats and newer versions with a single message", () => {
+    assert.deepEqual(validateTrackFile({ ...exported(), format: "other" }), [
+      `format must be "${TRACK_FORMAT}".`,
+    ]);
+    const errors = validateTrackFile({ ...exported(), version: TRACK_VERSION + 1 });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /not supported/);
+  });
+
+  it("names every offending field", () => {
+    const errors = validateTrackFile(
+      exported({
+        controlPoints: [...config.controlPoints.slice(0, 2), { x: 0, y: 0, z: "far" }, { x: 1, y: 0, z: 1 }],
+        roadWidth: 2,
+        sectors: [0.6, 0.4],
+      }),
+    );
+    assert.ok(errors.some((error) => error.startsWith("track.controlPoints[2].z")));
+    assert.ok(errors.some((error) => error.startsWith("track.roadWidth")));
+    assert.ok(errors.includes("track.sectors[1] must be greater than track.sectors[0]."));
+  });
+
+  it("requires at least four control points", () => {
+    const errors = validateTrackFile(exported({ controlPoints: config.controlPoints.slice(0, 3) }));
+    assert.ok(errors.some((error) => error.startsWith("track.controlPoints")));
+  });
+
+  it("throws a TrackFileError listing the problems", () => {
+    assert.throws(
+      () => parseTrackFile("not json"),
+      (error) => error instanceof TrackFileError && /not valid JSON/.test(error.message),
+    );
+    assert.throws(
+      () => parseTrackFile(exported({ pitLane: { side: 0 } })),
+      (error) =>
+        error instanceof TrackFileError &&
+        error.errors.length === 1 &&
+        error.errors[0].startsWith("track.pitLane.side"),
+    );
+  });
+});